@@ -34,13 +34,47 @@ function updateToggleGroup(selector, activeValue, dataAttr = 'mode') {
 const app = {
   // Current state
   state: {
-    inputMode: 'income', // 'income' or 'tax'
+    inputMode: 'income', // 'income', 'tax' or 'return'
     filingStatus: 'single',
+    taxYear: DATA_YEAR,
     income: 0,
-    incomeTax: 0,
+    spouseIncome: 0,             // married filing jointly: spouse's wages, added to income
+    selfEmploymentIncome: 0,     // net 1099 / Schedule C profit on top of wages
+    investments: { longTermCapitalGains: 0, qualifiedDividends: 0 },
+    adjustments: { retirement401k: 0, hsa: 0, traditionalIra: 0, itemizedDeductions: 0, saltDeduction: 0, isoBargainElement: 0 },
+    dependents: 0,               // qualifying children under 17
+    claimChildlessEitc: false,   // EITC without children (ages 25-64)
+    includeEmployerShare: false, // count the employer's matching FICA as the worker's
+    fullTaxBurden: false,        // add indirect taxes and compare against total revenue
+    deficitAware: false,         // split results into paid now / borrowed / future interest
+    interestYears: 10,           // horizon for interest on the borrowed part
+    recurringYears: 30,          // span to add up recurring spending over
+    incomeGrowth: 3,             // projected yearly income growth for recurring spending, in percent
+    fundingMix: { income: 60, fica: 40, fuelExcise: 0, customs: 0, borrowing: 0 }, // percentages by TAX_SOURCES key for the 'custom' category
+    appliedFundingMix: null, // snapshot of fundingMix last applied to the 'custom' category (not saved)
+    // What-if overrides from the sandbox, kept apart from the official data and not saved:
+    // revenue multipliers by REVENUE_POOLS key, sources by category key, and the borrowed share
+    assumptions: { revenue: {}, sources: {}, deficitShare: null },
+    incomeTax: 0,                // net of credits; negative when refundable credits exceed tax
+    taxDetails: null, // deduction and credit breakdown from calculateIncomeTaxDetails (income mode only)
     ficaTax: 0,
+    selfEmploymentTax: 0, // portion of ficaTax that is SE tax
+    employerFicaTax: 0,   // portion of ficaTax paid by the employer (when included)
+    indirectTaxes: null,  // corporate/excise/customs estimate from calculateIndirectTaxes
     directTax: null, // null means calculated, number means user-entered
+    directWages: null, // optional W-2 wages in tax mode; null means estimated from directTax
+    directFica: null,  // optional FICA paid in tax mode; overrides directWages
+    // Figures copied from Form 1040 and W-2s in return mode
+    returnFigures: {
+      totalTax: 0, adjustedGrossIncome: 0, taxableIncome: 0, socialSecurityWithheld: 0,
+      medicareWithheld: 0, selfEmploymentTax: 0, additionalMedicareTax: 0
+    },
     spendingAmount: 0,
+    spendingDollarYear: null, // year the spending amount is stated in; null means the tax year
+    recurring: false,   // spending amount repeats every year
+    compareItems: [],   // items pinned for side-by-side comparison (not saved)
+    compareSort: { key: 'yourShare', descending: true },
+    billItems: [],      // line items of a composite bill: { label, category, fiscalYear, amount } (not saved)
     category: null,
     isMultiYear: false, // tracks if selected spending is multi-year
     isSavings: false,   // tracks if selected item is a savings (vs spending)
@@ -49,12 +83,18 @@ const app = {
 
   // Initialize the app
   init() {
-    // Render spending chips from data
+    // Render tax year selector and spending chips from data
+    this.renderTaxYearOptions();
     this.renderSpendingChips();
+    this.renderSpendingYearOptions();
+    this.renderCategoryGrid();
+    this.renderFundingMixInputs();
+    this.renderBillCategoryOptions();
 
     // Check for returning user
     const saved = loadUserData();
-    if (saved && saved.income) {
+    if (saved && (saved.income || saved.spouseIncome || saved.selfEmploymentIncome ||
+                  (saved.returnFigures && saved.returnFigures.totalTax))) {
       this.loadSavedData(saved);
     }
   },
@@ -66,22 +106,58 @@ const app = {
 
     // Restore state
     this.state.inputMode = saved.inputMode || 'income';
-    this.state.filingStatus = saved.filingStatus || 'single';
+    this.state.filingStatus = FILING_STATUSES[saved.filingStatus] ? saved.filingStatus : 'single';
+    this.state.taxYear = TAX_YEARS.includes(saved.taxYear) ? saved.taxYear : DATA_YEAR;
     this.state.income = saved.income || 0;
+    this.state.spouseIncome = saved.spouseIncome || 0;
+    this.state.selfEmploymentIncome = saved.selfEmploymentIncome || 0;
+    this.state.adjustments = { ...this.state.adjustments, ...(saved.adjustments || {}) };
+    this.state.investments = { ...this.state.investments, ...(saved.investments || {}) };
+    this.state.dependents = saved.dependents || 0;
+    this.state.claimChildlessEitc = saved.claimChildlessEitc || false;
+    this.state.includeEmployerShare = saved.includeEmployerShare || false;
+    document.getElementById('includeEmployerShare').checked = this.state.includeEmployerShare;
+    this.state.fullTaxBurden = saved.fullTaxBurden || false;
+    document.getElementById('fullTaxBurden').checked = this.state.fullTaxBurden;
+    this.state.deficitAware = saved.deficitAware || false;
+    this.state.interestYears = Number.isFinite(saved.interestYears) ? saved.interestYears : 10;
+    document.getElementById('deficitAware').checked = this.state.deficitAware;
+    document.getElementById('interestYears').value = this.state.interestYears;
+    this.state.recurringYears = Number.isFinite(saved.recurringYears) ? saved.recurringYears : 30;
+    this.state.incomeGrowth = Number.isFinite(saved.incomeGrowth) ? saved.incomeGrowth : 3;
+    document.getElementById('recurringYears').value = this.state.recurringYears;
+    document.getElementById('incomeGrowth').value = this.state.incomeGrowth;
+    const savedMix = saved.fundingMix || {};
+    Object.keys(this.state.fundingMix).forEach(source => {
+      if (Number.isFinite(savedMix[source])) this.state.fundingMix[source] = savedMix[source];
+    });
+    this.renderFundingMixInputs();
     this.state.directTax = saved.directTax || null;
+    this.state.directWages = saved.directWages || null;
+    this.state.directFica = saved.directFica || null;
+    this.state.returnFigures = { ...this.state.returnFigures, ...(saved.returnFigures || {}) };
+    this.renderAdjustmentInputs();
+    this.renderReturnInputs();
 
     // Update UI to reflect saved state
-    if (this.state.inputMode === 'tax' && this.state.directTax !== null) {
+    if (this.state.inputMode === 'return') {
+      this.setInputMode('return');
+    } else if (this.state.inputMode === 'tax' && this.state.directTax !== null) {
       this.setInputMode('tax');
       document.getElementById('directTax').value = this.formatNumberInput(this.state.directTax);
-      this.state.incomeTax = this.state.directTax;
+      document.getElementById('directWages').value = this.formatNumberInput(this.state.directWages || 0);
+      document.getElementById('directFica').value = this.formatNumberInput(this.state.directFica || 0);
+      this.recalculateTax();
     } else {
       document.getElementById('income').value = this.formatNumberInput(this.state.income);
+      document.getElementById('spouseIncome').value = this.formatNumberInput(this.state.spouseIncome);
       this.recalculateTax();
     }
 
-    // Update filing status buttons
+    // Update filing status and tax year buttons
     updateToggleGroup('[data-status]', this.state.filingStatus, 'status');
+    this.updateTaxYearDisplay();
+    this.updateSpouseIncomeDisplay();
 
     // Show tax result and enable continue
     this.updateTaxDisplay();
@@ -90,7 +166,7 @@ const app = {
     this.showStage(2);
   },
 
-  // Set input mode (income or direct tax)
+  // Set input mode (income, direct tax or tax return figures)
   setInputMode(mode) {
     this.state.inputMode = mode;
 
@@ -100,9 +176,12 @@ const app = {
     // Show/hide appropriate input
     document.getElementById('incomeInput').style.display = mode === 'income' ? 'block' : 'none';
     document.getElementById('directTaxInput').style.display = mode === 'tax' ? 'block' : 'none';
+    document.getElementById('returnInput').style.display = mode === 'return' ? 'block' : 'none';
+    document.getElementById('adjustmentsSection').style.display = mode === 'income' ? 'block' : 'none';
+    this.updateSpouseIncomeDisplay();
 
     // Recalculate based on current values
-    if (mode === 'income') {
+    if (mode === 'income' || mode === 'return') {
       this.state.directTax = null;
       this.recalculateTax();
     } else {
@@ -119,12 +198,49 @@ const app = {
 
     // Update toggle buttons
     updateToggleGroup('[data-status]', status, 'status');
+    this.updateSpouseIncomeDisplay();
+
+    // Recalculate tax
+    this.recalculateTax();
+    this.saveState();
+  },
+
+  // Set tax year
+  setTaxYear(year) {
+    this.state.taxYear = year;
+    this.updateTaxYearDisplay();
+    this.updateSpendingYearDisplay();
 
     // Recalculate tax
     this.recalculateTax();
     this.saveState();
   },
 
+  // Render tax year toggle buttons from TAX_YEARS
+  renderTaxYearOptions() {
+    const container = document.getElementById('taxYearOptions');
+    if (!container) return;
+
+    container.innerHTML = '';
+    TAX_YEARS.forEach(year => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'toggle-btn';
+      btn.dataset.year = year;
+      btn.textContent = year;
+      btn.onclick = () => this.setTaxYear(year);
+      container.appendChild(btn);
+    });
+
+    this.updateTaxYearDisplay();
+  },
+
+  // Reflect the selected tax year in the toggle and data labels
+  updateTaxYearDisplay() {
+    updateToggleGroup('[data-year]', String(this.state.taxYear), 'year');
+    document.getElementById('dataYearLabel').textContent = this.state.taxYear;
+  },
+
   // Handle income input
   handleIncomeInput(value) {
     // If user has already selected a spending amount, reset everything instead of recalculating
@@ -144,6 +260,165 @@ const app = {
     this.saveState();
   },
 
+  // Handle spouse's wages (married filing jointly)
+  handleSpouseIncomeInput(value) {
+    // If user has already selected a spending amount, reset everything instead of recalculating
+    if (this.state.spendingAmount > 0) {
+      this.clearAndReset();
+      return;
+    }
+
+    const num = parseCurrencyInput(value);
+    this.state.spouseIncome = num;
+
+    const input = document.getElementById('spouseIncome');
+    formatInputWithCursor(input, num, this.formatNumberInput.bind(this));
+
+    this.recalculateTax();
+    this.saveState();
+  },
+
+  // Show the spouse's wage entry only for joint filers entering income
+  updateSpouseIncomeDisplay() {
+    const show = this.state.filingStatus === 'married' && this.state.inputMode === 'income';
+    document.getElementById('spouseIncomeInput').style.display = show ? 'block' : 'none';
+    document.getElementById('incomeLabel').textContent = show ? 'Your Annual Income' : 'Annual Income';
+  },
+
+  // Combined wages on the return: both spouses for joint filers
+  getWageIncome() {
+    return this.state.income + (this.state.filingStatus === 'married' ? this.state.spouseIncome : 0);
+  },
+
+  // Handle a pre-tax contribution or itemized deduction input
+  handleAdjustmentInput(field, value) {
+    const num = parseCurrencyInput(value);
+    this.state.adjustments[field] = num;
+
+    // Format the input with cursor preservation
+    const input = document.querySelector(`[data-adjustment="${field}"]`);
+    formatInputWithCursor(input, num, this.formatNumberInput.bind(this));
+
+    this.recalculateTax();
+    this.saveState();
+  },
+
+  // Handle self-employment income input
+  handleSelfEmploymentInput(value) {
+    const num = parseCurrencyInput(value);
+    this.state.selfEmploymentIncome = num;
+
+    // Format the input with cursor preservation
+    const input = document.getElementById('selfEmploymentIncome');
+    formatInputWithCursor(input, num, this.formatNumberInput.bind(this));
+
+    this.recalculateTax();
+    this.saveState();
+  },
+
+  // Handle a capital gains or qualified dividends input
+  handleInvestmentInput(field, value) {
+    const num = parseCurrencyInput(value);
+    this.state.investments[field] = num;
+
+    // Format the input with cursor preservation
+    const input = document.querySelector(`[data-investment="${field}"]`);
+    formatInputWithCursor(input, num, this.formatNumberInput.bind(this));
+
+    this.recalculateTax();
+    this.saveState();
+  },
+
+  // Handle number of qualifying children
+  handleDependentsInput(value) {
+    const num = parseInt(value, 10);
+    this.state.dependents = num > 0 ? Math.min(num, 10) : 0;
+
+    this.recalculateTax();
+    this.saveState();
+  },
+
+  // Handle the childless EITC checkbox
+  setClaimChildlessEitc(checked) {
+    this.state.claimChildlessEitc = checked;
+
+    this.recalculateTax();
+    this.saveState();
+  },
+
+  // Toggle counting the employer's half of FICA
+  setIncludeEmployerShare(checked) {
+    this.state.includeEmployerShare = checked;
+
+    this.recalculateTax();
+    this.saveState();
+  },
+
+  // Toggle the full tax burden model
+  setFullTaxBurden(checked) {
+    this.state.fullTaxBurden = checked;
+
+    this.recalculateTax();
+    this.saveState();
+  },
+
+  // Household income before taxes, as best each input mode knows it
+  getTotalIncome() {
+    if (this.state.inputMode === 'return') {
+      // AGI is closer to pre-tax income; taxable income is the fallback when it's left blank
+      const figures = this.state.returnFigures;
+      return figures.adjustedGrossIncome || figures.taxableIncome;
+    }
+    if (this.state.inputMode === 'tax') return this.state.income;
+    return this.getWageIncome() + this.state.selfEmploymentIncome +
+           this.state.investments.longTermCapitalGains + this.state.investments.qualifiedDividends;
+  },
+
+  // Estimate indirect taxes, used by the full burden model and by excise- or customs-funded categories
+  updateIndirectTaxes() {
+    this.state.indirectTaxes = calculateIndirectTaxes(this.getTotalIncome(), this.state.taxYear);
+  },
+
+  // Indirect taxes added to the user's total, only under the full burden model
+  getIndirectTaxTotal() {
+    return this.state.fullTaxBurden && this.state.indirectTaxes ? this.state.indirectTaxes.total : 0;
+  },
+
+  // Fill adjustment and dependents inputs from state (returning users)
+  renderAdjustmentInputs() {
+    document.querySelectorAll('[data-adjustment]').forEach(input => {
+      input.value = this.formatNumberInput(this.state.adjustments[input.dataset.adjustment] || 0);
+    });
+    document.querySelectorAll('[data-investment]').forEach(input => {
+      input.value = this.formatNumberInput(this.state.investments[input.dataset.investment] || 0);
+    });
+    document.getElementById('selfEmploymentIncome').value = this.formatNumberInput(this.state.selfEmploymentIncome);
+    document.getElementById('dependents').value = this.state.dependents || '';
+    document.getElementById('claimChildlessEitc').checked = this.state.claimChildlessEitc;
+  },
+
+  // Collect the optional inputs passed to calculateIncomeTaxDetails and calculateFICA
+  getTaxOptions() {
+    return {
+      ...this.state.adjustments,
+      ...this.state.investments,
+      selfEmploymentIncome: this.state.selfEmploymentIncome,
+      spouseWages: this.state.filingStatus === 'married' ? this.state.spouseIncome : 0,
+      dependents: this.state.dependents,
+      claimChildlessEitc: this.state.claimChildlessEitc,
+      includeEmployerShare: this.state.includeEmployerShare
+    };
+  },
+
+  // Toggle the optional adjustments panel
+  toggleAdjustments() {
+    const panel = document.getElementById('adjustmentsPanel');
+    const icon = document.getElementById('adjustmentsToggleIcon');
+
+    const isVisible = panel.classList.toggle('visible');
+    icon.textContent = isVisible ? '-' : '+';
+  },
+
   // Handle direct tax input
   handleDirectTaxInput(value) {
     // If user has already selected a spending amount, reset everything instead of recalculating
@@ -160,25 +435,124 @@ const app = {
     const input = document.getElementById('directTax');
     formatInputWithCursor(input, num, this.formatNumberInput.bind(this));
 
-    // Calculate FICA based on estimated income (rough reverse calculation)
-    // This is approximate - assume ~15% effective rate to estimate income
-    const estimatedIncome = num / 0.15;
-    this.state.income = estimatedIncome;
-    const fica = calculateFICA(estimatedIncome, this.state.filingStatus);
-    this.state.ficaTax = fica.total;
+    this.recalculateDirectTax();
+    this.saveState();
+  },
 
-    this.updateTaxDisplay();
+  // Handle optional W-2 wages or FICA paid in tax mode
+  handleDirectPayrollInput(field, value) {
+    // If user has already selected a spending amount, reset everything instead of recalculating
+    if (this.state.spendingAmount > 0) {
+      this.clearAndReset();
+      return;
+    }
+
+    const num = parseCurrencyInput(value);
+    this.state[field] = num > 0 ? num : null;
+
+    const input = document.getElementById(field);
+    formatInputWithCursor(input, num, this.formatNumberInput.bind(this));
+
+    this.recalculateDirectTax();
     this.saveState();
   },
 
+  // Handle a figure copied from Form 1040 or a W-2
+  handleReturnInput(field, value) {
+    // If user has already selected a spending amount, reset everything instead of recalculating
+    if (this.state.spendingAmount > 0) {
+      this.clearAndReset();
+      return;
+    }
+
+    const num = parseCurrencyInput(value);
+    this.state.returnFigures[field] = num;
+
+    const input = document.querySelector(`[data-return="${field}"]`);
+    formatInputWithCursor(input, num, this.formatNumberInput.bind(this));
+
+    this.recalculateTax();
+    this.saveState();
+  },
+
+  // Fill the tax return inputs from state
+  renderReturnInputs() {
+    document.querySelectorAll('[data-return]').forEach(input => {
+      input.value = this.formatNumberInput(this.state.returnFigures[input.dataset.return] || 0);
+    });
+  },
+
+  // Use tax return figures as-is; SE tax and Additional Medicare Tax count as payroll tax, not income tax
+  recalculateFromReturn() {
+    const figures = this.state.returnFigures;
+    const additionalMedicare = figures.additionalMedicareTax || 0;
+    this.state.taxDetails = null;
+    this.state.selfEmploymentTax = figures.selfEmploymentTax;
+    this.state.incomeTax = Math.max(0, figures.totalTax - figures.selfEmploymentTax - additionalMedicare);
+    this.state.employerFicaTax = this.state.includeEmployerShare
+      ? calculateEmployerFICAMatch(figures.socialSecurityWithheld, figures.medicareWithheld, this.state.taxYear)
+      : 0;
+
+    // Form 8959 is the Additional Medicare owed, so drop the 0.9% withheld in box 6 to count it once
+    const medicareWithheld = additionalMedicare > 0
+      ? calculateMedicareWagesFromWithholding(figures.medicareWithheld, this.state.taxYear) *
+        getYearData(FICA_BY_YEAR, this.state.taxYear).medicare.rate
+      : figures.medicareWithheld;
+    this.state.ficaTax = figures.socialSecurityWithheld + medicareWithheld + figures.selfEmploymentTax +
+                         additionalMedicare + this.state.employerFicaTax;
+
+    this.updateIndirectTaxes();
+    this.updateTaxDisplay();
+  },
+
+  // Derive income and FICA from an entered tax amount
+  recalculateDirectTax() {
+    this.state.incomeTax = this.state.directTax || 0;
+    this.state.taxDetails = null;
+    this.state.selfEmploymentTax = 0;
+
+    // Wages entered directly beat the bracket inversion
+    const estimatedIncome = estimateIncomeFromTax(this.state.incomeTax, this.state.filingStatus, this.state.taxYear);
+    this.state.income = this.state.directWages || estimatedIncome;
+
+    if (this.state.directFica) {
+      // Withholding alone can't be split into its parts, so match it dollar for dollar
+      this.state.employerFicaTax = this.state.includeEmployerShare ? this.state.directFica : 0;
+      this.state.ficaTax = this.state.directFica + this.state.employerFicaTax;
+    } else {
+      const fica = calculateFICA(this.state.income, this.state.filingStatus, this.state.taxYear, {
+        includeEmployerShare: this.state.includeEmployerShare
+      });
+      this.state.employerFicaTax = fica.employerShare;
+      this.state.ficaTax = fica.total;
+    }
+
+    this.updateIndirectTaxes();
+    this.updateTaxDisplay();
+  },
+
   // Recalculate tax from income
   recalculateTax() {
-    if (this.state.inputMode === 'tax') return;
+    if (this.state.inputMode === 'tax') {
+      this.recalculateDirectTax();
+      return;
+    }
+    if (this.state.inputMode === 'return') {
+      this.recalculateFromReturn();
+      return;
+    }
 
-    this.state.incomeTax = calculateIncomeTax(this.state.income, this.state.filingStatus);
-    const fica = calculateFICA(this.state.income, this.state.filingStatus);
+    const options = this.getTaxOptions();
+    const wages = this.getWageIncome();
+    const details = calculateIncomeTaxDetails(wages, this.state.filingStatus, this.state.taxYear, options);
+    this.state.taxDetails = details;
+    this.state.incomeTax = details.tax;
+    const fica = calculateFICA(wages, this.state.filingStatus, this.state.taxYear, options);
     this.state.ficaTax = fica.total;
+    this.state.selfEmploymentTax = fica.selfEmploymentTax;
+    this.state.employerFicaTax = fica.employerShare;
 
+    this.updateIndirectTaxes();
     this.updateTaxDisplay();
   },
 
@@ -187,22 +561,288 @@ const app = {
     const taxResultEl = document.getElementById('taxResult');
     const continueBtn = document.getElementById('continueToStage2');
 
-    if (this.state.incomeTax > 0 || this.state.directTax > 0) {
+    // FICA alone is enough to continue: credits can zero out income tax
+    if (this.state.incomeTax > 0 || this.state.directTax > 0 || this.state.ficaTax > 0) {
       taxResultEl.style.display = 'block';
       document.getElementById('calculatedTax').textContent = formatCurrency(this.state.incomeTax);
-
-      if (this.state.income > 0) {
-        const percent = ((this.state.incomeTax / this.state.income) * 100).toFixed(1);
+      document.getElementById('taxResultLabel').textContent = this.state.inputMode === 'return'
+        ? 'Federal Income Tax'
+        : 'Estimated Federal Income Tax';
+
+      const totalIncome = this.getTotalIncome();
+      if (this.state.inputMode === 'return') {
+        const taxableIncome = this.state.returnFigures.taxableIncome;
+        document.getElementById('taxPercent').textContent = taxableIncome > 0
+          ? `(${((this.state.incomeTax / taxableIncome) * 100).toFixed(1)}% of taxable income)`
+          : '';
+      } else if (totalIncome > 0) {
+        const percent = ((this.state.incomeTax / totalIncome) * 100).toFixed(1);
         document.getElementById('taxPercent').textContent = `(${percent}% effective rate)`;
       } else {
         document.getElementById('taxPercent').textContent = '';
       }
 
+      // Show which deduction was applied (only known when calculated from income)
+      const deductionEl = document.getElementById('taxDeduction');
+      const creditsEl = document.getElementById('taxCredits');
+      const selfEmploymentEl = document.getElementById('taxSelfEmployment');
+      const amtEl = document.getElementById('taxAmt');
+      document.getElementById('taxEmployerShare').textContent = this.state.employerFicaTax > 0
+        ? `Payroll tax includes ${formatCurrency(this.state.employerFicaTax)} paid by your employer`
+        : '';
+      document.getElementById('taxIndirect').textContent = this.getIndirectTaxTotal() > 0
+        ? `Plus estimated corporate, excise & customs taxes: ${formatCurrency(this.state.indirectTaxes.total)}`
+        : '';
+      if (this.state.inputMode === 'income' && this.state.taxDetails) {
+        const details = this.state.taxDetails;
+        deductionEl.textContent = `${details.deductionType === 'itemized' ? 'Itemized' : 'Standard'} deduction: ${formatCurrency(details.deduction)}`;
+
+        const credits = [];
+        if (details.childTaxCredit + details.additionalChildTaxCredit > 0) {
+          credits.push(`Child Tax Credit ${formatCurrency(details.childTaxCredit + details.additionalChildTaxCredit)}`);
+        }
+        if (details.earnedIncomeCredit > 0) {
+          credits.push(`EITC ${formatCurrency(details.earnedIncomeCredit)}`);
+        }
+        creditsEl.textContent = credits.length > 0 ? `Credits applied: ${credits.join(', ')}` : '';
+
+        selfEmploymentEl.textContent = this.state.selfEmploymentTax > 0
+          ? `Plus self-employment tax: ${formatCurrency(this.state.selfEmploymentTax)}`
+          : '';
+
+        amtEl.textContent = details.amtBinding
+          ? `Alternative Minimum Tax applies: +${formatCurrency(details.alternativeMinimumTax)} over regular tax`
+          : '';
+      } else {
+        // Tax mode: show the income implied by the brackets unless wages were entered
+        deductionEl.textContent = this.state.inputMode === 'tax' && !this.state.directWages && this.state.income > 0
+          ? `Implied income: ${formatCurrency(this.state.income)} (standard deduction, no credits)`
+          : '';
+        creditsEl.textContent = '';
+        selfEmploymentEl.textContent = this.state.inputMode === 'return' && this.state.ficaTax > 0
+          ? `Plus payroll tax: ${formatCurrency(this.state.ficaTax)}`
+          : '';
+        amtEl.textContent = '';
+      }
+
       continueBtn.disabled = false;
     } else {
       taxResultEl.style.display = 'none';
       continueBtn.disabled = true;
     }
+
+    this.renderReceipt();
+    this.renderComparison();
+    this.renderBill();
+  },
+
+  // Toggle the taxpayer receipt panel
+  toggleReceipt() {
+    const panel = document.getElementById('receiptPanel');
+    const icon = document.getElementById('receiptToggleIcon');
+
+    const isVisible = panel.classList.toggle('visible');
+    icon.textContent = isVisible ? '-' : '+';
+  },
+
+  // Toggle the bill entry panel, starting new lines in the tax year
+  toggleBill() {
+    const panel = document.getElementById('billPanel');
+    const icon = document.getElementById('billToggleIcon');
+
+    const isVisible = panel.classList.toggle('visible');
+    icon.textContent = isVisible ? '-' : '+';
+
+    const yearInput = document.getElementById('billLineYear');
+    if (!yearInput.value) yearInput.value = this.state.taxYear;
+  },
+
+  // Render the bill line category picker from FUNDING_CATEGORIES
+  renderBillCategoryOptions() {
+    const select = document.getElementById('billLineCategory');
+    if (!select) return;
+
+    select.innerHTML = Object.entries(FUNDING_CATEGORIES)
+      .map(([key, category]) => `<option value="${key}">${category.name}</option>`)
+      .join('');
+    document.getElementById('billLineYear').min = getFirstRevenueYear();
+  },
+
+  // Add a line item from the entry fields, then move on to the next fiscal year
+  addBillLine() {
+    const amountInput = document.getElementById('billLineAmount');
+    const yearInput = document.getElementById('billLineYear');
+    const billions = parseFloat(amountInput.value.replace(/[^0-9.-]/g, ''));
+    const fiscalYear = parseInt(yearInput.value, 10);
+    const message = document.getElementById('billMessage');
+
+    if (!Number.isFinite(billions) || billions === 0 || !Number.isFinite(fiscalYear)) {
+      message.textContent = 'Enter an amount and a fiscal year for the line.';
+      return;
+    }
+    if (fiscalYear < getFirstRevenueYear()) {
+      message.textContent = `There is no revenue data before FY${getFirstRevenueYear()}.`;
+      return;
+    }
+
+    const label = document.getElementById('billLineLabel').value.trim();
+    this.state.billItems.push({
+      label: label || `Line ${this.state.billItems.length + 1}`,
+      category: document.getElementById('billLineCategory').value,
+      fiscalYear: fiscalYear,
+      amount: billions * 1_000_000_000
+    });
+
+    // Keep the label and category so the same line can be entered for the next year
+    amountInput.value = '';
+    yearInput.value = fiscalYear + 1;
+    message.textContent = '';
+    this.renderBill();
+  },
+
+  // Add the line items from a pasted or uploaded cost estimate
+  importBill(text) {
+    const { items, errors } = parseBillImport(text);
+    this.state.billItems.push(...items);
+
+    const summary = items.length > 0
+      ? `Imported ${items.length} line ${items.length === 1 ? 'item' : 'items'}.`
+      : 'Nothing was imported.';
+    document.getElementById('billMessage').textContent = [summary, ...errors].join(' ');
+    this.renderBill();
+
+    if (items.length > 0) {
+      document.getElementById('billSection').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  },
+
+  // Read an uploaded CSV or JSON cost estimate
+  importBillFile(file) {
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      document.getElementById('billImport').value = reader.result;
+      this.importBill(reader.result);
+    };
+    reader.readAsText(file);
+  },
+
+  // Shares of the bill's line items with the current taxes and settings
+  getBill() {
+    return calculateBillShares({ ...this.getShareParams(), items: this.state.billItems });
+  },
+
+  // Remove every line item of one line, by its position in the by-line table
+  removeBillLine(index) {
+    const line = this.getBill().byLine[index];
+    this.state.billItems = this.state.billItems
+      .filter(item => item.label !== line.label || item.category !== line.category);
+    this.renderBill();
+  },
+
+  // Remove every line item
+  clearBill() {
+    this.state.billItems = [];
+    document.getElementById('billMessage').textContent = '';
+    this.renderBill();
+  },
+
+  // Show the bill's total share with breakdowns by line and by fiscal year
+  renderBill() {
+    const section = document.getElementById('billSection');
+    if (this.state.billItems.length === 0) {
+      section.style.display = 'none';
+      return;
+    }
+
+    const bill = this.getBill();
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    document.getElementById('billTotalAmount').textContent = formatLargeNumber(bill.totalAmount);
+    document.getElementById('billLineCount').textContent =
+      `${plural(bill.byLine.length, 'line')} and ${plural(bill.byYear.length, 'fiscal year')}`;
+    document.getElementById('billTotalShare').textContent = formatCurrency(bill.totalShare);
+
+    // Labels come from user input and imported files, so build these rows as text
+    const lineRows = document.getElementById('billLineRows');
+    lineRows.innerHTML = '';
+    bill.byLine.forEach((line, index) => {
+      const tr = document.createElement('tr');
+      [line.label, line.categoryName, formatLargeNumber(line.amount), formatCurrency(line.yourShare)].forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+
+      const removeCell = document.createElement('td');
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'compare-remove';
+      removeBtn.setAttribute('aria-label', `Remove ${line.label}`);
+      removeBtn.textContent = '×';
+      removeBtn.onclick = () => this.removeBillLine(index);
+      removeCell.appendChild(removeBtn);
+      tr.appendChild(removeCell);
+      lineRows.appendChild(tr);
+    });
+
+    document.getElementById('billYearRows').innerHTML = bill.byYear.map(year => `
+      <tr>
+        <td>${year.fiscalYear}</td>
+        <td>${formatLargeNumber(year.amount)}</td>
+        <td>${formatCurrency(year.yourShare)}</td>
+      </tr>
+    `).join('');
+    document.getElementById('billYearTotals').innerHTML = `
+      <tr>
+        <td>Total</td>
+        <td>${formatLargeNumber(bill.totalAmount)}</td>
+        <td>${formatCurrency(bill.totalShare)}</td>
+      </tr>
+    `;
+
+    const lastDataYear = TAX_YEARS[TAX_YEARS.length - 1];
+    let hint = `Each year's cost is divided by that year's federal revenue, using your ${this.state.taxYear} taxes.`;
+    if (bill.byYear.some(year => year.fiscalYear > lastDataYear)) {
+      hint += ` Years after ${lastDataYear} use ${lastDataYear} revenue.`;
+    }
+    document.getElementById('billHint').textContent = hint;
+    section.style.display = 'block';
+  },
+
+  // Itemize all of the user's taxes across the federal budget lines
+  renderReceipt() {
+    const receipt = calculateReceipt({
+      incomeTax: this.state.incomeTax,
+      ficaTax: this.state.ficaTax,
+      taxYear: this.state.taxYear,
+      indirectTax: this.getIndirectTaxTotal(),
+      indirectTaxes: this.state.indirectTaxes,
+      fullBurden: this.state.fullTaxBurden,
+      assumptions: this.getAssumptions()
+    });
+    const budget = getYearData(FEDERAL_BUDGET_BY_YEAR, this.state.taxYear);
+
+    document.getElementById('receiptRows').innerHTML = receipt.rows.map(row => `
+      <tr>
+        <td>${row.label}</td>
+        <td>${formatLargeNumber(row.spendingAmount)}</td>
+        <td>${formatCurrency(row.yourShare)}</td>
+        <td>${(row.percent * 100).toFixed(1)}%</td>
+      </tr>
+    `).join('');
+    document.getElementById('receiptTotals').innerHTML = `
+      <tr>
+        <td>Total</td>
+        <td>${formatLargeNumber(budget.spending.total)}</td>
+        <td>${formatCurrency(receipt.total)}</td>
+        <td>${receipt.total > 0 ? '100%' : '0%'}</td>
+      </tr>
+    `;
+    document.getElementById('receiptHint').textContent = this.state.fullTaxBurden
+      ? 'All the taxes you bear are spread over the budget in proportion to spending.'
+      : 'Your income tax is spread over the lines it funds, and your payroll tax over Social Security and Medicare, ' +
+        `in proportion to FY ${receipt.taxYear} spending. Spending beyond revenue is borrowed, so it isn't on your receipt.`;
   },
 
   // Handle spending input (in billions)
@@ -215,6 +855,12 @@ const app = {
     const actualAmount = billions * 1_000_000_000;
     this.state.spendingAmount = actualAmount;
 
+    // A chip's dollar year doesn't carry over to a custom amount
+    if (this.state.selectedItemSource) {
+      this.state.spendingDollarYear = null;
+      this.updateSpendingYearDisplay();
+    }
+
     // Manual input is not multi-year, not savings, and has no source
     this.state.isMultiYear = false;
     this.state.isSavings = false;
@@ -249,6 +895,10 @@ const app = {
     // Show/hide multi-year note
     const multiYearNote = document.getElementById('multiYearNote');
     if (multiYear) {
+      const schedule = this.state.selectedItemSource && this.state.selectedItemSource.schedule;
+      multiYearNote.textContent = schedule
+        ? `Note: This total was spent over ${Object.keys(schedule).length} fiscal years. Your results spread it across those years.`
+        : 'Note: This spending amount represents a total cost over multiple years, not spending in a single year.';
       multiYearNote.style.display = 'block';
     } else {
       multiYearNote.style.display = 'none';
@@ -313,6 +963,43 @@ const app = {
     });
   },
 
+  // Render the dollar-year picker from the years in CPI_U
+  renderSpendingYearOptions() {
+    const select = document.getElementById('spendingYear');
+    if (!select) return;
+
+    select.innerHTML = Object.keys(CPI_U)
+      .map(Number)
+      .sort((a, b) => b - a)
+      .map(year => `<option value="${year}">${year}</option>`)
+      .join('');
+    this.updateSpendingYearDisplay();
+  },
+
+  // Show the spending amount's dollar year (the tax year unless set)
+  updateSpendingYearDisplay() {
+    document.getElementById('spendingYear').value = this.state.spendingDollarYear || this.state.taxYear;
+  },
+
+  // Set which year's dollars the spending amount is in
+  setSpendingDollarYear(value) {
+    const year = parseInt(value, 10);
+    this.state.spendingDollarYear = Number.isFinite(year) && year !== this.state.taxYear ? year : null;
+
+    if (this.state.spendingAmount > 0 && this.state.category) {
+      this.calculateAndShowResults();
+    }
+  },
+
+  // Mark the spending amount as repeating every year
+  setRecurring(checked) {
+    this.state.recurring = checked;
+
+    if (this.state.spendingAmount > 0 && this.state.category) {
+      this.calculateAndShowResults();
+    }
+  },
+
   // Select a chip and highlight it
   selectChip(index, amount, category, multiYear = false, isSavings = false, sourceInfo = null) {
     // Update visual selection
@@ -321,6 +1008,8 @@ const app = {
     });
     this.state.selectedChipIndex = index;
     this.state.selectedItemSource = sourceInfo;
+    this.state.spendingDollarYear = (sourceInfo && sourceInfo.dollarYear) || null;
+    this.updateSpendingYearDisplay();
 
     // Set the spending amount
     this.setSpending(amount, category, multiYear, isSavings);
@@ -334,8 +1023,40 @@ const app = {
     this.state.selectedChipIndex = null;
   },
 
+  // Render the category buttons from FUNDING_CATEGORIES
+  renderCategoryGrid() {
+    const container = document.getElementById('categoryGrid');
+    if (!container) return;
+
+    container.innerHTML = '';
+    Object.entries(FUNDING_CATEGORIES).forEach(([key, category]) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'category-btn';
+      btn.dataset.category = key;
+      btn.innerHTML = `
+        <span class="name"></span>
+        <span class="examples"></span>
+        <span class="tax-source"></span>
+      `;
+      btn.querySelector('.name').textContent = category.name;
+      btn.querySelector('.examples').textContent = category.examples;
+      btn.querySelector('.tax-source').textContent = `Funded by: ${describeSources(category.sources)}`;
+      btn.onclick = () => this.selectCategory(key);
+      container.appendChild(btn);
+    });
+  },
+
   // Select funding category
   selectCategory(category) {
+    if (category === 'custom') {
+      // Apply the mix being edited, if valid; otherwise keep the last one applied
+      if (this.getEditedFundingMix()) {
+        this.state.appliedFundingMix = { ...this.state.fundingMix };
+      } else if (!this.state.appliedFundingMix) {
+        return;
+      }
+    }
     this.state.category = category;
 
     // Update category buttons
@@ -347,13 +1068,101 @@ const app = {
     this.calculateAndShowResults();
   },
 
+  // Toggle the custom funding mix panel
+  toggleFundingMix() {
+    const panel = document.getElementById('fundingMixPanel');
+    const icon = document.getElementById('fundingMixToggleIcon');
+
+    const isVisible = panel.classList.toggle('visible');
+    icon.textContent = isVisible ? '-' : '+';
+  },
+
+  // Handle a funding mix percentage input
+  handleFundingMixInput(source, value) {
+    const percent = parseInt(value, 10);
+    this.state.fundingMix[source] = Number.isFinite(percent) ? Math.min(100, Math.max(0, percent)) : 0;
+    this.updateFundingMixTotal();
+    this.saveState();
+
+    // Only a mix that adds up to 100% replaces the applied mix and the current result
+    if (this.state.category === 'custom' && this.getEditedFundingMix()) {
+      this.state.appliedFundingMix = { ...this.state.fundingMix };
+      if (this.state.spendingAmount > 0) this.calculateAndShowResults();
+    }
+  },
+
+  // Render a percentage input per TAX_SOURCES entry, filled from state
+  renderFundingMixInputs() {
+    const container = document.getElementById('fundingMixInputs');
+    if (!container) return;
+
+    container.innerHTML = '';
+    Object.entries(TAX_SOURCES).forEach(([source, { label }]) => {
+      const group = document.createElement('div');
+      group.className = 'input-group';
+      group.innerHTML = `
+        <label for="mix-${source}">${label}</label>
+        <div class="input-wrapper">
+          <input type="number" id="mix-${source}" min="0" max="100" step="1" data-mix="${source}">
+          <span class="suffix">%</span>
+        </div>
+      `;
+      const input = group.querySelector('input');
+      input.value = this.state.fundingMix[source];
+      input.oninput = () => this.handleFundingMixInput(source, input.value);
+      container.appendChild(group);
+    });
+
+    this.updateFundingMixTotal();
+  },
+
+  // Show the running total and only allow a mix that adds up to 100%
+  updateFundingMixTotal() {
+    const total = Object.values(this.state.fundingMix).reduce((sum, percent) => sum + percent, 0);
+    const totalEl = document.getElementById('fundingMixTotal');
+    totalEl.textContent = total === 100 ? 'Total: 100%' : `Total: ${total}% (must add up to 100%)`;
+    totalEl.classList.toggle('invalid', total !== 100);
+    document.getElementById('applyFundingMix').disabled = total !== 100;
+  },
+
+  // Mix being edited, or null while it doesn't add up to 100%
+  getEditedFundingMix() {
+    const total = Object.values(this.state.fundingMix).reduce((sum, percent) => sum + percent, 0);
+    return total === 100 ? this.state.fundingMix : null;
+  },
+
+  // Applied funding mix as fractions for calculateShare, or null unless the custom category is in use
+  getFundingMix() {
+    const mix = this.state.appliedFundingMix;
+    if (this.state.category !== 'custom' || !mix) return null;
+
+    return Object.fromEntries(Object.entries(mix).map(([source, percent]) => [source, percent / 100]));
+  },
+
+  // Parameters shared by every share calculation for the current taxes and category
+  getShareParams() {
+    return {
+      incomeTax: this.state.incomeTax,
+      ficaTax: this.state.ficaTax,
+      category: this.state.category,
+      taxYear: this.state.taxYear,
+      indirectTax: this.getIndirectTaxTotal(),
+      indirectTaxes: this.state.indirectTaxes,
+      fullBurden: this.state.fullTaxBurden,
+      fundingMix: this.getFundingMix(),
+      assumptions: this.getAssumptions()
+    };
+  },
+
   // Calculate and display results
   calculateAndShowResults() {
     const result = calculateShare({
-      incomeTax: this.state.incomeTax,
-      ficaTax: this.state.ficaTax,
+      ...this.getShareParams(),
       spendingAmount: this.state.spendingAmount,
-      category: this.state.category
+      deficitAware: this.state.deficitAware,
+      interestYears: this.state.interestYears,
+      dollarYear: this.state.spendingDollarYear,
+      estimates: (this.state.selectedItemSource && this.state.selectedItemSource.estimates) || null
     });
 
     // Update result card styling - green for savings, blue for spending
@@ -374,7 +1183,26 @@ const app = {
     } else {
       document.getElementById('resultCategory').textContent = result.category.toLowerCase();
     }
-    document.getElementById('resultShare').textContent = formatCurrency(result.yourShare);
+    // Multi-year items with a funding schedule use each year's revenue instead
+    const schedule = this.state.selectedItemSource && this.state.selectedItemSource.schedule;
+    const scheduleResult = schedule
+      ? calculateScheduleShares({ ...this.getShareParams(), schedule: schedule })
+      : null;
+    const headlineShare = scheduleResult ? scheduleResult.totalShare : result.yourShare;
+    document.getElementById('resultShare').textContent = formatCurrency(headlineShare);
+    this.renderRange(result.range);
+
+    // Explain a zero income-tax share when refundable credits exceed income tax
+    const creditNoteEl = document.getElementById('resultCreditNote');
+    if (result.netIncomeTaxCredit > 0) {
+      creditNoteEl.textContent = `Your refundable credits exceed your income tax by ${formatCurrency(result.netIncomeTaxCredit)}, so you pay no net income tax toward this spending.`;
+      creditNoteEl.style.display = 'block';
+    } else {
+      creditNoteEl.style.display = 'none';
+    }
+
+    this.renderInflation(result.inflation, scheduleResult);
+    document.getElementById('resultAssumptionsNote').style.display = this.getAssumptions() ? 'block' : 'none';
 
     // Update source information if available
     const sourceEl = document.getElementById('resultSource');
@@ -395,26 +1223,382 @@ const app = {
     }
 
     // Get comparison
-    const annualTax = this.state.incomeTax + this.state.ficaTax;
-    const comparison = getComparison(result.yourShare, annualTax);
+    const annualTax = Math.max(0, this.state.incomeTax) + this.state.ficaTax +
+                      this.getIndirectTaxTotal();
+    const comparison = getComparison(headlineShare, annualTax);
     document.getElementById('resultComparison').textContent = comparison;
 
     // Update time breakdown (annual and monthly)
-    document.getElementById('annualAmount').textContent = formatCurrency(result.yourShare);
-    document.getElementById('monthlyAmount').textContent = formatCurrency(result.yourShare / 12);
+    const annualShare = scheduleResult ? scheduleResult.perYear : result.yourShare;
+    document.getElementById('annualLabel').textContent = scheduleResult ? 'Per year of the program' : 'Per year';
+    document.getElementById('annualAmount').textContent = formatCurrency(annualShare);
+    document.getElementById('monthlyAmount').textContent = formatCurrency(annualShare / 12);
+    this.renderSchedule(scheduleResult);
+    this.renderRecurring();
+    this.renderTypicalShares(headlineShare, schedule);
+    this.renderDistribution();
+    this.renderComparison();
+    this.renderBill();
+
+    // Deficit share varies by budget year
+    document.getElementById('deficitNote').textContent = `Note: ${result.deficitNote}`;
+    this.renderDeficitSplit(scheduleResult && result.deficitSplit
+      ? calculateDeficitSplit(headlineShare, this.state.taxYear, this.state.interestYears, this.getAssumptions(),
+                              result.deficitSplit.fromFunding ? result.deficitSplit.deficitShare : null)
+      : result.deficitSplit);
 
     // Update math breakdown
+    this.renderTaxComponents();
+    this.renderPayrollNote(result);
+    this.renderIndirectNote();
+    this.renderSourcesNote(result);
     document.getElementById('mathYourTax').textContent = formatCurrency(result.breakdown.yourTax);
     document.getElementById('mathTaxType').textContent = result.breakdown.taxType;
-    document.getElementById('mathTotalRevenue').textContent = formatLargeNumber(result.breakdown.totalRevenue || FEDERAL_BUDGET.revenue.individualIncomeTax);
-    document.getElementById('mathProportion').textContent = formatProportion(result.breakdown.proportion);
-    document.getElementById('mathSpending').textContent = formatLargeNumber(this.state.spendingAmount);
-    document.getElementById('mathShare').textContent = formatCurrency(result.yourShare);
+    this.renderMathTotals(result, scheduleResult);
 
     // Show stage 4
     this.showStage(4);
   },
 
+  // Fill the revenue, proportion, spending and share rows of the math, adding up a schedule's years
+  renderMathTotals(result, scheduleResult) {
+    const noteEl = document.getElementById('mathScheduleNote');
+    if (!scheduleResult || scheduleResult.rows.length === 0) {
+      document.getElementById('mathTotalRevenue').textContent = formatLargeNumber(result.breakdown.totalRevenue);
+      document.getElementById('mathProportion').textContent = formatProportion(result.breakdown.proportion);
+      document.getElementById('mathSpending').textContent = formatLargeNumber(this.state.spendingAmount);
+      document.getElementById('mathShare').textContent = formatCurrency(result.yourShare);
+      noteEl.style.display = 'none';
+      return;
+    }
+
+    // Revenue, and so your proportion, changes from year to year
+    const { rows } = scheduleResult;
+    const span = (values, format) => {
+      const low = Math.min(...values);
+      const high = Math.max(...values);
+      return low === high ? format(low) : `${format(low)} – ${format(high)}`;
+    };
+    document.getElementById('mathTotalRevenue').textContent = span(rows.map(row => row.totalRevenue), formatLargeNumber);
+    document.getElementById('mathProportion').textContent = span(rows.map(row => row.proportion), formatProportion);
+    document.getElementById('mathSpending').textContent = formatLargeNumber(scheduleResult.totalSpending);
+    document.getElementById('mathShare').textContent = formatCurrency(scheduleResult.totalShare);
+    noteEl.textContent = `Spread over ${rows[0].year}–${rows[rows.length - 1].year}: each year's spending is divided by ` +
+      `that year's revenue, and the ${rows.length} yearly shares in the table above are added up.`;
+    noteEl.style.display = 'block';
+  },
+
+  // Show a disputed amount as a range of shares, one row per estimate and its source
+  renderRange(range) {
+    const rangeEl = document.getElementById('resultRange');
+    if (!range) {
+      rangeEl.style.display = 'none';
+      return;
+    }
+
+    const labels = { low: 'Low', central: 'Central', high: 'High' };
+    const levels = Object.keys(labels).filter(level => range[level]);
+    const estimates = levels.map(level => range[level]);
+    const lowest = estimates.reduce((min, estimate) => (estimate.value < min.value ? estimate : min));
+    const highest = estimates.reduce((max, estimate) => (estimate.value > max.value ? estimate : max));
+
+    // A single sourced estimate is shown as a value, not a range
+    const single = lowest.value === highest.value;
+    document.getElementById('resultSpendingAmount').textContent = single
+      ? formatLargeNumber(lowest.value)
+      : `${formatLargeNumber(lowest.value)} to ${formatLargeNumber(highest.value)}`;
+    document.getElementById('resultShare').textContent = single
+      ? formatCurrency(lowest.yourShare)
+      : `${formatCurrency(lowest.yourShare)} – ${formatCurrency(highest.yourShare)}`;
+    document.getElementById('resultRangeRows').innerHTML = levels.map(level => `
+      <tr>
+        <td>${labels[level]}</td>
+        <td>${formatLargeNumber(range[level].value)}</td>
+        <td>${range[level].source}</td>
+        <td>${formatCurrency(range[level].yourShare)}</td>
+      </tr>
+    `).join('');
+    document.getElementById('resultRangeHint').textContent =
+      `This figure is disputed. The rest of this page uses the headline ${formatLargeNumber(this.state.spendingAmount)}.`;
+    rangeEl.style.display = 'block';
+  },
+
+  // Explain which halves of payroll tax are in the numerator for payroll-funded spending
+  renderPayrollNote(result) {
+    const noteEl = document.getElementById('mathPayrollNote');
+    const contributions = result.breakdown.contributions;
+    if (!contributions || contributions.fica === undefined) {
+      noteEl.style.display = 'none';
+      return;
+    }
+
+    if (this.state.ficaTax > 0 && this.state.ficaTax === this.state.selfEmploymentTax) {
+      noteEl.textContent = 'Self-employment tax already covers both the employee and employer halves, matching how payroll tax revenue is counted.';
+    } else if (this.state.employerFicaTax > 0) {
+      noteEl.textContent = `Your payroll tax of ${formatCurrency(this.state.ficaTax)} includes ${formatCurrency(this.state.employerFicaTax)} your employer paid on your wages. Payroll tax revenue counts both halves too, so the two sides match.`;
+    } else {
+      noteEl.textContent = 'Payroll tax revenue includes the employer\'s matching half, but your payroll tax here is only the half withheld from your pay. Turn on "Include the employer\'s half of payroll tax" in step 1 to count both.';
+    }
+    noteEl.style.display = 'block';
+  },
+
+  // Restate the share in the tax year's dollars when the amount is from another year
+  renderInflation(inflation, scheduleResult) {
+    const inflationEl = document.getElementById('resultInflation');
+    const year = this.state.taxYear;
+
+    if (scheduleResult) {
+      inflationEl.textContent = `In ${year} dollars the program cost ${formatLargeNumber(scheduleResult.currentDollarSpending)}, ` +
+        `or ${formatCurrency(scheduleResult.currentDollarShare)} of your ${year} taxes.`;
+      inflationEl.style.display = 'block';
+    } else if (inflation) {
+      inflationEl.textContent = `In ${year} dollars: ${formatCurrency(inflation.currentDollarShare)} ` +
+        `(${formatLargeNumber(this.state.spendingAmount)} in ${inflation.dollarYear} is ${formatLargeNumber(inflation.currentDollarAmount)} in ${year}).`;
+      inflationEl.style.display = 'block';
+    } else {
+      inflationEl.style.display = 'none';
+    }
+  },
+
+  // Show the year-by-year table for items with a funding schedule
+  renderSchedule(scheduleResult) {
+    const section = document.getElementById('scheduleSection');
+    if (!scheduleResult) {
+      section.style.display = 'none';
+      return;
+    }
+
+    document.getElementById('scheduleRows').innerHTML = scheduleResult.rows.map(row => `
+      <tr>
+        <td>${row.year}</td>
+        <td>${formatLargeNumber(row.spendingAmount)}</td>
+        <td>${formatCurrency(row.yourShare)}</td>
+      </tr>
+    `).join('');
+    document.getElementById('scheduleTotals').innerHTML = `
+      <tr>
+        <td>Total</td>
+        <td>${formatLargeNumber(scheduleResult.totalSpending)}</td>
+        <td>${formatCurrency(scheduleResult.totalShare)}</td>
+      </tr>
+    `;
+    document.getElementById('scheduleHint').textContent =
+      `Each year's spending is divided by that year's federal revenue, using your ${this.state.taxYear} taxes. ` +
+      `Over ${scheduleResult.rows.length} years that averages ${formatCurrency(scheduleResult.perYear)} per year of the program.`;
+    section.style.display = 'block';
+  },
+
+  // Compare the user's share with an even split of the cost and with the median filer's share
+  renderTypicalShares(headlineShare, schedule) {
+    const perPerson = calculatePerPersonCosts(this.state.spendingAmount, this.state.taxYear);
+    const median = calculateMedianFilerTaxes(this.state.taxYear, { includeEmployerShare: this.state.includeEmployerShare });
+    const medianParams = {
+      ...this.getShareParams(),
+      incomeTax: median.incomeTax,
+      ficaTax: median.ficaTax,
+      indirectTax: this.state.fullTaxBurden ? median.indirectTaxes.total : 0,
+      indirectTaxes: median.indirectTaxes
+    };
+    const medianShare = schedule
+      ? calculateScheduleShares({ ...medianParams, schedule: schedule }).totalShare
+      : calculateShare({ ...medianParams, spendingAmount: this.state.spendingAmount }).yourShare;
+
+    document.getElementById('typicalResident').textContent = formatCurrency(perPerson.perResident);
+    document.getElementById('typicalHousehold').textContent = formatCurrency(perPerson.perHousehold);
+    document.getElementById('typicalFiler').textContent = formatCurrency(perPerson.perFiler);
+    document.getElementById('typicalMedian').textContent = formatCurrency(medianShare);
+
+    let comparison;
+    const ratio = medianShare > 0 ? headlineShare / medianShare : null;
+    if (ratio === null) {
+      comparison = 'The median filer pays nothing toward this spending.';
+    } else if (Math.abs(ratio - 1) < 0.05) {
+      comparison = 'Your share is about the same as the median filer\'s.';
+    } else if (ratio > 1) {
+      comparison = `Your share is ${ratio.toFixed(1)} times the median filer's.`;
+    } else {
+      comparison = `Your share is ${Math.round(ratio * 100)}% of the median filer's.`;
+    }
+    document.getElementById('typicalHint').textContent =
+      `${comparison} The median filer is a single filer earning ${formatCurrency(median.income, false)} in wages. ` +
+      'Per-person figures split the whole cost evenly, including any part that is borrowed.';
+  },
+
+  // Toggle the paid now / borrowed / interest split
+  setDeficitAware(checked) {
+    this.state.deficitAware = checked;
+    this.saveState();
+
+    if (this.state.spendingAmount > 0 && this.state.category) {
+      this.calculateAndShowResults();
+    }
+  },
+
+  // Set how many years of interest to project on the borrowed part
+  setInterestYears(value) {
+    const years = parseInt(value, 10);
+    this.state.interestYears = Number.isFinite(years) ? Math.min(50, Math.max(0, years)) : 0;
+    this.saveState();
+
+    if (this.state.spendingAmount > 0 && this.state.category) {
+      this.calculateAndShowResults();
+    }
+  },
+
+  // Set how many years of recurring spending to add up
+  setRecurringYears(value) {
+    const years = parseInt(value, 10);
+    this.state.recurringYears = Number.isFinite(years) ? Math.min(60, Math.max(1, years)) : 1;
+    this.saveState();
+
+    if (this.state.spendingAmount > 0 && this.state.category) {
+      this.calculateAndShowResults();
+    }
+  },
+
+  // Set the projected yearly income growth for recurring spending
+  setIncomeGrowth(value) {
+    const percent = parseFloat(value);
+    this.state.incomeGrowth = Number.isFinite(percent) ? Math.min(20, Math.max(-10, percent)) : 0;
+    this.saveState();
+
+    if (this.state.spendingAmount > 0 && this.state.category) {
+      this.calculateAndShowResults();
+    }
+  },
+
+  // Add up the share of recurring spending over the chosen span
+  renderRecurring() {
+    const section = document.getElementById('recurringSection');
+    if (!this.state.recurring) {
+      section.style.display = 'none';
+      return;
+    }
+
+    const cumulative = calculateCumulativeShare({
+      ...this.getShareParams(),
+      annualAmount: this.state.spendingAmount,
+      years: this.state.recurringYears,
+      incomeGrowth: this.state.incomeGrowth / 100,
+      income: this.getTotalIncome(),
+      filingStatus: this.state.filingStatus,
+      includeEmployerShare: this.state.includeEmployerShare
+    });
+    const lastYear = cumulative.rows[cumulative.rows.length - 1].year;
+
+    document.getElementById('recurringTotalLabel').textContent = `Over ${cumulative.rows.length} years`;
+    document.getElementById('recurringTotal').textContent = formatCurrency(cumulative.totalShare);
+    document.getElementById('recurringPerYear').textContent = formatCurrency(cumulative.perYear);
+    document.getElementById('recurringRows').innerHTML = cumulative.rows.map(row => `
+      <tr>
+        <td>${row.year}</td>
+        <td>${formatCurrency(row.income, false)}</td>
+        <td>${formatCurrency(row.yourShare)}</td>
+      </tr>
+    `).join('');
+    document.getElementById('recurringTotals').innerHTML = `
+      <tr>
+        <td>Total</td>
+        <td>${formatLargeNumber(cumulative.totalSpending)} spent</td>
+        <td>${formatCurrency(cumulative.totalShare)}</td>
+      </tr>
+    `;
+
+    const lastDataYear = TAX_YEARS[TAX_YEARS.length - 1];
+    let hint = `${formatLargeNumber(this.state.spendingAmount)} a year from ${this.state.taxYear} to ${lastYear}, ` +
+      `with your income growing ${this.state.incomeGrowth}% a year and your taxes rising with it through the brackets.`;
+    if (lastYear > lastDataYear) {
+      hint += ` Years after ${lastDataYear} use ${lastDataYear} tax rules and revenue.`;
+    }
+    document.getElementById('recurringHint').textContent = hint + ' Figures are not adjusted for inflation.';
+    section.style.display = 'block';
+  },
+
+  // Show how much of the share is paid now vs. borrowed
+  renderDeficitSplit(split) {
+    const detailsEl = document.getElementById('deficitSplitDetails');
+    if (!split) {
+      detailsEl.style.display = 'none';
+      return;
+    }
+
+    document.getElementById('splitPaidNow').textContent = formatCurrency(split.paidNow);
+    document.getElementById('splitBorrowed').textContent = formatCurrency(split.borrowed);
+    document.getElementById('splitInterest').textContent = formatCurrency(split.futureInterest);
+    document.getElementById('splitHint').textContent =
+      `${Math.round(split.deficitShare * 100)}% of spending is borrowed${split.fromFunding ? ', as set by its funding' : ''}. Interest compounds at ${(split.interestRate * 100).toFixed(1)}%, ` +
+      `the average rate on federal debt (net interest ÷ debt held by the public).`;
+    detailsEl.style.display = 'block';
+  },
+
+  // List the indirect tax estimate in the math breakdown (full burden only)
+  renderIndirectNote() {
+    const noteEl = document.getElementById('mathIndirectNote');
+    const indirect = this.state.indirectTaxes;
+    if (!this.state.fullTaxBurden || !indirect) {
+      noteEl.style.display = 'none';
+      return;
+    }
+
+    noteEl.textContent = `Full tax burden: includes an estimated ${formatCurrency(indirect.corporate)} in corporate tax, ` +
+      `${formatCurrency(indirect.excise)} in excise taxes and ${formatCurrency(indirect.customs)} in customs duties ` +
+      `for your income level, divided by all federal revenue. ${INDIRECT_TAX_INCIDENCE.source}.`;
+    noteEl.style.display = 'block';
+  },
+
+  // Break a share funded from several sources down by source
+  renderSourcesNote(result) {
+    const noteEl = document.getElementById('mathSourcesNote');
+    const contributions = result.breakdown.contributions;
+    if (!contributions || Object.keys(contributions).length < 2) {
+      noteEl.style.display = 'none';
+      return;
+    }
+
+    const parts = Object.keys(contributions)
+      .filter(source => TAX_SOURCES[source].revenueKey)
+      .map(source => `${formatCurrency(contributions[source])} through ${TAX_SOURCES[source].label}`);
+    let text = `${result.taxSource === 'custom' ? 'Custom mix' : result.category}: each source's part of the spending is divided by that source's revenue.`;
+    if (parts.length > 0) {
+      const last = parts.pop();
+      text += ` You pay ${parts.length > 0 ? `${parts.join(', ')} and ${last}` : last}.`;
+    }
+    const indirect = ['fuelExcise', 'customs'].filter(source => contributions[source] !== undefined);
+    if (indirect.length > 0) {
+      text += ` Amounts for ${indirect.map(source => TAX_SOURCES[source].label).join(' and ')} are estimated from the taxes built into prices at your income level. ${INDIRECT_TAX_INCIDENCE.source}.`;
+    }
+    if (result.breakdown.borrowedAmount > 0) {
+      text += ` The ${formatLargeNumber(result.breakdown.borrowedAmount)} that is borrowed isn't paid from current taxes, so it isn't in your share.`;
+    }
+    noteEl.textContent = text;
+    noteEl.style.display = 'block';
+  },
+
+  // List the income tax components in the math breakdown (income mode only)
+  renderTaxComponents() {
+    const container = document.getElementById('mathTaxComponents');
+    const details = this.state.taxDetails;
+    if (this.state.inputMode !== 'income' || !details) {
+      container.style.display = 'none';
+      return;
+    }
+
+    const rows = [['Ordinary income tax', details.ordinaryTax]];
+    if (details.capitalGainsTax > 0) rows.push(['Capital gains & dividends tax', details.capitalGainsTax]);
+    if (details.alternativeMinimumTax > 0) rows.push(['Alternative Minimum Tax', details.alternativeMinimumTax]);
+    if (details.netInvestmentIncomeTax > 0) rows.push(['Net Investment Income Tax (3.8%)', details.netInvestmentIncomeTax]);
+    if (details.totalCredits > 0) rows.push(['Credits', -details.totalCredits]);
+    rows.push(['Net federal income tax', details.tax]);
+
+    container.innerHTML = rows.map(([label, amount]) => `
+      <div class="math-row">
+        <span>${label}</span>
+        <span>${formatCurrency(amount)}</span>
+      </div>
+    `).join('');
+    container.style.display = 'block';
+  },
+
   // Show a specific stage
   showStage(stageNum) {
     const stage = document.getElementById(`stage${stageNum}`);
@@ -437,6 +1621,309 @@ const app = {
     icon.textContent = isVisible ? '-' : '+';
   },
 
+  // The current item as it would be pinned for comparison
+  getCompareItem() {
+    const source = this.state.selectedItemSource;
+    return {
+      label: source ? source.label : `Custom amount (${formatLargeNumber(this.state.spendingAmount)})`,
+      spendingAmount: this.state.spendingAmount,
+      category: this.state.category,
+      fundingMix: this.getFundingMix(),
+      dollarYear: this.state.spendingDollarYear,
+      schedule: (source && source.schedule) || null,
+      isSavings: this.state.isSavings
+    };
+  },
+
+  // Whether an item with the same amount and funding is already pinned
+  isPinned(item) {
+    return this.state.compareItems.some(pinned =>
+      pinned.label === item.label &&
+      pinned.spendingAmount === item.spendingAmount &&
+      pinned.category === item.category &&
+      pinned.dollarYear === item.dollarYear &&
+      JSON.stringify(pinned.fundingMix) === JSON.stringify(item.fundingMix)
+    );
+  },
+
+  // Whether an item can be compared: it needs a category, and a custom category needs its applied mix
+  canPin(item) {
+    return item.spendingAmount > 0 && Boolean(item.category) && (item.category !== 'custom' || Boolean(item.fundingMix));
+  },
+
+  // Pin the current item to the comparison
+  pinForComparison() {
+    const item = this.getCompareItem();
+    if (this.canPin(item) && !this.isPinned(item)) {
+      this.state.compareItems.push(item);
+    }
+    this.renderComparison();
+  },
+
+  // Remove a pinned item by its position in compareItems
+  unpinComparison(index) {
+    this.state.compareItems.splice(index, 1);
+    this.renderComparison();
+  },
+
+  // Remove every pinned item
+  clearComparison() {
+    this.state.compareItems = [];
+    this.renderComparison();
+  },
+
+  // Sort the comparison by a column, flipping the order when it is already sorted by it
+  sortComparison(key) {
+    const sort = this.state.compareSort;
+    if (sort.key === key) {
+      sort.descending = !sort.descending;
+    } else {
+      sort.key = key;
+      sort.descending = key === 'spendingAmount' || key === 'yourShare';
+    }
+    this.renderComparison();
+  },
+
+  // Render the pinned items as a sortable table and a bar chart
+  renderComparison() {
+    const section = document.getElementById('compareSection');
+    const pinButton = document.getElementById('pinCompare');
+    const current = this.getCompareItem();
+    const pinned = this.canPin(current) && this.isPinned(current);
+    pinButton.disabled = pinned || !this.canPin(current);
+    pinButton.textContent = pinned ? 'Pinned to compare' : 'Pin to compare';
+
+    if (this.state.compareItems.length === 0) {
+      section.style.display = 'none';
+      return;
+    }
+
+    const { rows } = calculateComparison({ ...this.getShareParams(), items: this.state.compareItems });
+    const { key, descending } = this.state.compareSort;
+    const sorted = rows
+      .map((row, index) => ({ ...row, index }))
+      .sort((a, b) => {
+        const order = typeof a[key] === 'string' ? a[key].localeCompare(b[key]) : a[key] - b[key];
+        return descending ? -order : order;
+      });
+
+    document.querySelectorAll('#compareSection [data-sort]').forEach(btn => {
+      const direction = descending ? 'descending' : 'ascending';
+      btn.parentElement.setAttribute('aria-sort', btn.dataset.sort === key ? direction : 'none');
+    });
+    document.getElementById('compareRows').innerHTML = sorted.map(row => `
+      <tr>
+        <td>${row.label}</td>
+        <td>${formatLargeNumber(row.spendingAmount)}</td>
+        <td>${row.categoryName}</td>
+        <td>${formatCurrency(row.yourShare)}</td>
+        <td><button type="button" class="compare-remove" aria-label="Remove ${row.label}" onclick="app.unpinComparison(${row.index})">&times;</button></td>
+      </tr>
+    `).join('');
+    document.getElementById('compareChart').innerHTML = sorted.map(row => `
+      <div class="compare-bar-row">
+        <div class="compare-bar-label" title="${row.label}">${row.label}</div>
+        <div class="compare-bar-track">
+          <div class="compare-bar${row.isSavings ? ' savings' : ''}" style="width: ${(row.relativeShare * 100).toFixed(1)}%"></div>
+        </div>
+        <div class="compare-bar-value">${formatCurrency(row.yourShare)}</div>
+      </div>
+    `).join('');
+    section.style.display = 'block';
+  },
+
+  // Toggle the what-if budget assumptions sandbox
+  toggleSandbox() {
+    const details = document.getElementById('sandboxDetails');
+    const icon = document.getElementById('sandboxToggleIcon');
+
+    const isVisible = details.classList.toggle('visible');
+    icon.textContent = isVisible ? '-' : '+';
+    if (isVisible) this.renderSandboxInputs();
+  },
+
+  // The sandbox overrides, or null while every figure is official
+  getAssumptions() {
+    const { revenue, sources, deficitShare } = this.state.assumptions;
+    const changed = Object.keys(revenue).length > 0 || Object.keys(sources).length > 0 || deficitShare !== null;
+    return changed ? this.state.assumptions : null;
+  },
+
+  // Fill the sandbox with the tax year's figures, including any overrides
+  renderSandboxInputs() {
+    const official = getRevenueData(this.state.taxYear);
+    const revenueContainer = document.getElementById('sandboxRevenueInputs');
+    revenueContainer.innerHTML = '';
+    Object.entries(REVENUE_POOLS).forEach(([pool, { label }]) => {
+      const group = document.createElement('div');
+      group.className = 'input-group';
+      group.innerHTML = `
+        <label for="pool-${pool}">${label}</label>
+        <div class="input-wrapper input-wrapper-billions">
+          <span class="prefix">$</span>
+          <input type="number" id="pool-${pool}" min="1" step="1">
+          <span class="suffix">billion</span>
+        </div>
+      `;
+      const input = group.querySelector('input');
+      const scale = this.state.assumptions.revenue[pool] || 1;
+      input.value = Math.round((official[pool] * scale) / 1_000_000_000);
+      input.oninput = () => this.setRevenueAssumption(pool, input.value);
+      revenueContainer.appendChild(group);
+    });
+
+    // Categories funded from two sources get a slider for the split
+    const splitContainer = document.getElementById('sandboxSplitInputs');
+    splitContainer.innerHTML = '';
+    Object.entries(FUNDING_CATEGORIES).forEach(([key, category]) => {
+      if (category.sources.length !== 2) return;
+      const sources = this.state.assumptions.sources[key] || category.sources;
+
+      const group = document.createElement('div');
+      group.className = 'input-group sandbox-split';
+      group.innerHTML = `
+        <label for="split-${key}">${category.name}</label>
+        <input type="range" id="split-${key}" min="0" max="100" step="1">
+        <div class="input-hint" id="split-${key}-hint"></div>
+      `;
+      const input = group.querySelector('input');
+      input.value = Math.round(sources[0].weight * 100);
+      input.oninput = () => this.setSplitAssumption(key, input.value);
+      splitContainer.appendChild(group);
+      this.updateSplitHint(key, sources);
+    });
+
+    document.getElementById('sandboxDeficit').value =
+      Math.round(getDeficitShare(this.state.taxYear, this.getAssumptions()) * 100);
+    this.updateSandboxHint();
+  },
+
+  // Describe a two-source split under its slider
+  updateSplitHint(key, sources) {
+    document.getElementById(`split-${key}-hint`).textContent = sources
+      .map(({ source, weight }) => `${Math.round(weight * 100)}% ${TAX_SOURCES[source].shortLabel}`)
+      .join(' / ');
+  },
+
+  // Override a revenue pool (entered in billions) as a multiple of the official figure
+  setRevenueAssumption(pool, value) {
+    const official = getRevenueData(this.state.taxYear)[pool];
+    const billions = parseFloat(value);
+    if (!(billions > 0)) return;
+
+    if (billions === Math.round(official / 1_000_000_000)) {
+      delete this.state.assumptions.revenue[pool];
+    } else {
+      this.state.assumptions.revenue[pool] = (billions * 1_000_000_000) / official;
+    }
+    this.applyAssumptions();
+  },
+
+  // Override how a two-source category is split, given the first source's percentage
+  setSplitAssumption(key, value) {
+    const official = FUNDING_CATEGORIES[key].sources;
+    const percent = Math.min(100, Math.max(0, parseInt(value, 10) || 0));
+    const sources = [
+      { source: official[0].source, weight: percent / 100 },
+      { source: official[1].source, weight: (100 - percent) / 100 }
+    ];
+
+    if (percent === Math.round(official[0].weight * 100)) {
+      delete this.state.assumptions.sources[key];
+    } else {
+      this.state.assumptions.sources[key] = sources;
+    }
+    this.updateSplitHint(key, sources);
+    this.applyAssumptions();
+  },
+
+  // Override the share of spending that is borrowed
+  setDeficitAssumption(value) {
+    const percent = parseFloat(value);
+    if (!Number.isFinite(percent)) return;
+
+    const clamped = Math.min(100, Math.max(0, percent));
+    const official = Math.round(getDeficitShare(this.state.taxYear) * 100);
+    this.state.assumptions.deficitShare = clamped === official ? null : clamped / 100;
+    this.applyAssumptions();
+  },
+
+  // Drop every override and go back to the official figures
+  resetAssumptions() {
+    this.state.assumptions = { revenue: {}, sources: {}, deficitShare: null };
+    this.renderSandboxInputs();
+    this.applyAssumptions();
+  },
+
+  // Recompute results with the current overrides
+  applyAssumptions() {
+    this.updateSandboxHint();
+    this.renderReceipt();
+
+    if (this.state.spendingAmount > 0 && this.state.category) {
+      this.calculateAndShowResults();
+    }
+  },
+
+  // Say whether results use official data
+  updateSandboxHint() {
+    document.getElementById('sandboxHint').textContent = this.getAssumptions()
+      ? 'Using your own assumptions. Revenue changes apply by the same percentage to other years in multi-year tables.'
+      : `Using official FY ${this.state.taxYear} data.`;
+  },
+
+  // Toggle the income distribution table
+  toggleDistribution() {
+    const details = document.getElementById('distributionDetails');
+    const icon = document.getElementById('distributionToggleIcon');
+
+    const isVisible = details.classList.toggle('visible');
+    icon.textContent = isVisible ? '-' : '+';
+  },
+
+  // Shares of the current item across DISTRIBUTION_INCOMES and every filing status
+  getDistribution() {
+    return calculateDistribution({
+      ...this.getShareParams(),
+      spendingAmount: this.state.spendingAmount,
+      includeEmployerShare: this.state.includeEmployerShare,
+      schedule: (this.state.selectedItemSource && this.state.selectedItemSource.schedule) || null
+    });
+  },
+
+  // Render the income distribution table for the current item
+  renderDistribution() {
+    const distribution = this.getDistribution();
+
+    document.getElementById('distributionHead').innerHTML = `
+      <tr>
+        <th scope="col">Income</th>
+        ${distribution.filingStatuses.map(status => `<th scope="col">${FILING_STATUSES[status]}</th>`).join('')}
+      </tr>
+    `;
+    document.getElementById('distributionRows').innerHTML = distribution.rows.map(row => `
+      <tr>
+        <td>${formatCurrency(row.income, false)}</td>
+        ${distribution.filingStatuses.map(status => `<td>${formatCurrency(row.shares[status])}</td>`).join('')}
+      </tr>
+    `).join('');
+    document.getElementById('distributionHint').textContent =
+      `Using ${distribution.taxYear} tax rules, with all income as one earner's wages, the standard deduction and no credits.`;
+  },
+
+  // Download the income distribution table as a CSV file
+  downloadDistributionCsv() {
+    const blob = new Blob([distributionToCsv(this.getDistribution())], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `share-by-income-${this.state.taxYear}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  },
+
   // Try another amount
   tryAnother() {
     // Hide stage 4
@@ -469,11 +1956,42 @@ const app = {
     this.state = {
       inputMode: 'income',
       filingStatus: 'single',
+      taxYear: DATA_YEAR,
       income: 0,
+      spouseIncome: 0,
+      selfEmploymentIncome: 0,
+      investments: { longTermCapitalGains: 0, qualifiedDividends: 0 },
+      adjustments: { retirement401k: 0, hsa: 0, traditionalIra: 0, itemizedDeductions: 0, saltDeduction: 0, isoBargainElement: 0 },
+      dependents: 0,
+      claimChildlessEitc: false,
+      includeEmployerShare: false,
+      fullTaxBurden: false,
+      deficitAware: false,
+      interestYears: 10,
+      recurringYears: 30,
+      incomeGrowth: 3,
+      fundingMix: { income: 60, fica: 40, fuelExcise: 0, customs: 0, borrowing: 0 },
+      appliedFundingMix: null,
+      assumptions: { revenue: {}, sources: {}, deficitShare: null },
       incomeTax: 0,
+      taxDetails: null,
       ficaTax: 0,
+      selfEmploymentTax: 0,
+      employerFicaTax: 0,
+      indirectTaxes: null,
       directTax: null,
+      directWages: null,
+      directFica: null,
+      returnFigures: {
+        totalTax: 0, adjustedGrossIncome: 0, taxableIncome: 0, socialSecurityWithheld: 0,
+        medicareWithheld: 0, selfEmploymentTax: 0, additionalMedicareTax: 0
+      },
       spendingAmount: 0,
+      spendingDollarYear: null,
+      recurring: false,
+      compareItems: [],
+      compareSort: { key: 'yourShare', descending: true },
+      billItems: [],
       category: null,
       isMultiYear: false,
       isSavings: false,
@@ -483,7 +2001,22 @@ const app = {
     // Reset UI
     document.getElementById('returningBanner').style.display = 'none';
     document.getElementById('income').value = '';
+    document.getElementById('spouseIncome').value = '';
     document.getElementById('directTax').value = '';
+    document.getElementById('directWages').value = '';
+    document.getElementById('directFica').value = '';
+    document.getElementById('includeEmployerShare').checked = false;
+    document.getElementById('fullTaxBurden').checked = false;
+    document.getElementById('deficitAware').checked = false;
+    document.getElementById('interestYears').value = 10;
+    document.getElementById('recurring').checked = false;
+    document.getElementById('recurringYears').value = 30;
+    document.getElementById('incomeGrowth').value = 3;
+    this.renderFundingMixInputs();
+    document.getElementById('fundingMixPanel').classList.remove('visible');
+    document.getElementById('fundingMixToggleIcon').textContent = '+';
+    this.renderReturnInputs();
+    this.renderAdjustmentInputs();
     document.getElementById('spending').value = '';
     document.getElementById('spendingHint').innerHTML = '';
     document.getElementById('multiYearNote').style.display = 'none';
@@ -498,6 +2031,8 @@ const app = {
     document.querySelectorAll('[data-status]').forEach(btn => {
       btn.classList.toggle('active', btn.dataset.status === 'single');
     });
+    this.updateTaxYearDisplay();
+    this.updateSpendingYearDisplay();
     document.querySelectorAll('.category-btn').forEach(btn => btn.classList.remove('selected'));
     this.clearChipSelection();
 
@@ -509,9 +2044,29 @@ const app = {
     // Reset input mode display
     document.getElementById('incomeInput').style.display = 'block';
     document.getElementById('directTaxInput').style.display = 'none';
+    document.getElementById('returnInput').style.display = 'none';
+    document.getElementById('adjustmentsSection').style.display = 'block';
+    this.updateSpouseIncomeDisplay();
+    document.getElementById('adjustmentsPanel').classList.remove('visible');
+    document.getElementById('adjustmentsToggleIcon').textContent = '+';
+    document.getElementById('receiptPanel').classList.remove('visible');
+    document.getElementById('receiptToggleIcon').textContent = '+';
+    this.renderReceipt();
+    this.renderComparison();
+    this.renderBill();
+    document.getElementById('billPanel').classList.remove('visible');
+    document.getElementById('billToggleIcon').textContent = '+';
+    ['billLineLabel', 'billLineAmount', 'billLineYear', 'billImport'].forEach(id => {
+      document.getElementById(id).value = '';
+    });
+    document.getElementById('billMessage').textContent = '';
 
     // Reset math toggle
     document.getElementById('mathDetails').classList.remove('visible');
+    document.getElementById('distributionDetails').classList.remove('visible');
+    document.getElementById('distributionToggleIcon').textContent = '+';
+    document.getElementById('sandboxDetails').classList.remove('visible');
+    document.getElementById('sandboxToggleIcon').textContent = '+';
     document.getElementById('mathToggleText').textContent = 'Show the math';
     document.getElementById('mathToggleIcon').textContent = '+';
 
@@ -524,8 +2079,25 @@ const app = {
     saveUserData({
       inputMode: this.state.inputMode,
       filingStatus: this.state.filingStatus,
+      taxYear: this.state.taxYear,
       income: this.state.income,
-      directTax: this.state.directTax
+      spouseIncome: this.state.spouseIncome,
+      selfEmploymentIncome: this.state.selfEmploymentIncome,
+      investments: this.state.investments,
+      adjustments: this.state.adjustments,
+      dependents: this.state.dependents,
+      claimChildlessEitc: this.state.claimChildlessEitc,
+      includeEmployerShare: this.state.includeEmployerShare,
+      fullTaxBurden: this.state.fullTaxBurden,
+      deficitAware: this.state.deficitAware,
+      interestYears: this.state.interestYears,
+      recurringYears: this.state.recurringYears,
+      incomeGrowth: this.state.incomeGrowth,
+      fundingMix: this.state.fundingMix,
+      directTax: this.state.directTax,
+      directWages: this.state.directWages,
+      directFica: this.state.directFica,
+      returnFigures: this.state.returnFigures
     });
   },
 
@@ -1,16 +1,110 @@
 // calculations.js - Tax and share calculation functions
 
 /**
- * Calculate federal income tax using progressive brackets
- * @param {number} grossIncome - Annual gross income
- * @param {string} filingStatus - 'single' or 'married'
- * @returns {number} Federal income tax amount
+ * Look up a year-keyed data table, falling back to the default data year
+ * @param {object} table - Table keyed by tax year (e.g. TAX_BRACKETS_BY_YEAR)
+ * @param {number} taxYear - Tax year to look up
+ * @returns {object} The entry for that year
+ */
+function getYearData(table, taxYear = DATA_YEAR) {
+  return table[taxYear] || table[DATA_YEAR];
+}
+
+/**
+ * Look up federal revenue for a fiscal year, including years before TAX_YEARS
+ * @param {number} taxYear - Fiscal year to look up
+ * @param {object} assumptions - What-if overrides; assumptions.revenue scales REVENUE_POOLS
+ * @returns {object} Revenue by source; falls back to the default data year
+ */
+function getRevenueData(taxYear = DATA_YEAR, assumptions = null) {
+  // Older years only carry the main pools; smaller ones fall back to DATA_YEAR figures
+  const revenue = FEDERAL_BUDGET_BY_YEAR[taxYear]
+    ? FEDERAL_BUDGET_BY_YEAR[taxYear].revenue
+    : { ...FEDERAL_BUDGET_BY_YEAR[DATA_YEAR].revenue, ...HISTORICAL_REVENUE[taxYear] };
+  return assumptions && assumptions.revenue ? scaleRevenue(revenue, assumptions.revenue) : revenue;
+}
+
+/**
+ * First fiscal year with revenue data; getRevenueData falls back to DATA_YEAR before it
+ * @returns {number} Earliest year in HISTORICAL_REVENUE or FEDERAL_BUDGET_BY_YEAR
+ */
+function getFirstRevenueYear() {
+  return Math.min(...Object.keys(HISTORICAL_REVENUE).map(Number), ...Object.keys(FEDERAL_BUDGET_BY_YEAR).map(Number));
+}
+
+/**
+ * Apply what-if multipliers to revenue pools, leaving the canonical data untouched
+ * @param {object} revenue - Revenue by source for one year
+ * @param {object} scales - Multipliers by REVENUE_POOLS key ({ individualIncomeTax: 1.1 })
+ * @returns {object} A new revenue object whose total moves with the pools
+ */
+function scaleRevenue(revenue, scales) {
+  const scaled = { ...revenue };
+
+  for (const [pool, scale] of Object.entries(scales)) {
+    if (!REVENUE_POOLS[pool]) continue;
+    scaled[pool] = revenue[pool] * scale;
+    scaled.total += scaled[pool] - revenue[pool];
+    for (const part of REVENUE_POOLS[pool].includes || []) {
+      scaled[part] = revenue[part] * scale;
+    }
+  }
+
+  return scaled;
+}
+
+/**
+ * Share of a year's spending that is borrowed
+ * @param {number} taxYear - Fiscal year to look up
+ * @param {object} assumptions - What-if overrides; assumptions.deficitShare replaces the official share
+ * @returns {number} Deficit as a fraction of total spending
+ */
+function getDeficitShare(taxYear = DATA_YEAR, assumptions = null) {
+  if (assumptions && Number.isFinite(assumptions.deficitShare)) return assumptions.deficitShare;
+  const budget = getYearData(FEDERAL_BUDGET_BY_YEAR, taxYear);
+  return budget.deficit / budget.spending.total;
+}
+
+/**
+ * Ratio of consumer prices between two years (CPI-U), clamped to the years on file
+ * @param {number} fromYear - Year the dollars are stated in
+ * @param {number} toYear - Year to restate them in
+ * @returns {number} Multiplier that converts fromYear dollars to toYear dollars
+ */
+function getInflationFactor(fromYear, toYear = DATA_YEAR) {
+  const years = Object.keys(CPI_U).map(Number);
+  const clamp = year => Math.min(Math.max(year, Math.min(...years)), Math.max(...years));
+  return CPI_U[clamp(toYear)] / CPI_U[clamp(fromYear)];
+}
+
+/**
+ * Resolve a funding category's spending and revenue pools for a given year
+ * @param {object} categoryData - Entry from FUNDING_CATEGORIES
+ * @param {number} taxYear - Tax year whose federal budget to use
+ * @param {object} assumptions - What-if overrides for getRevenueData
+ * @returns {object} budgetPool and revenuePool in dollars
  */
-function calculateIncomeTax(grossIncome, filingStatus = 'single') {
-  const standardDeduction = STANDARD_DEDUCTIONS[filingStatus];
-  const taxableIncome = Math.max(0, grossIncome - standardDeduction);
-  const brackets = TAX_BRACKETS[filingStatus];
+function getCategoryPools(categoryData, taxYear = DATA_YEAR, assumptions = null) {
+  const budget = getYearData(FEDERAL_BUDGET_BY_YEAR, taxYear);
+  const revenue = getRevenueData(taxYear, assumptions);
+  const budgetPool = categoryData.spendingLines.reduce((sum, line) => sum + budget.spending[line], 0);
 
+  // Borrowing adds nothing to the revenue pool
+  const revenuePool = categoryData.sources.reduce((sum, { source, weight }) => {
+    const revenueKey = TAX_SOURCES[source].revenueKey;
+    return revenueKey ? sum + revenue[revenueKey] * weight : sum;
+  }, 0);
+
+  return { budgetPool, revenuePool };
+}
+
+/**
+ * Apply progressive brackets to a taxable income amount
+ * @param {number} taxableIncome - Income after deductions
+ * @param {Array} brackets - Bracket list with max and rate
+ * @returns {number} Tax owed under those brackets
+ */
+function applyTaxBrackets(taxableIncome, brackets) {
   let tax = 0;
   let previousMax = 0;
 
@@ -28,93 +122,1081 @@ function calculateIncomeTax(grossIncome, filingStatus = 'single') {
 }
 
 /**
- * Calculate FICA (payroll) taxes
+ * Calculate self-employment tax on net profit, sharing the Social Security
+ * wage base and Additional Medicare threshold with any W-2 wages
+ * @param {number} selfEmploymentIncome - Net self-employment profit (Schedule C)
+ * @param {number} wages - The self-employed person's own W-2 wages subject to FICA
+ * @param {string} filingStatus - Key of FILING_STATUSES
+ * @param {number} taxYear - Tax year whose wage base to use
+ * @param {number} householdWages - Combined wages on the return, for the Additional Medicare threshold
+ * @returns {object} SE tax by component and the deductible half
+ */
+function calculateSelfEmploymentTax(selfEmploymentIncome, wages = 0, filingStatus = 'single', taxYear = DATA_YEAR, householdWages = wages) {
+  const netEarnings = Math.max(0, selfEmploymentIncome) * SELF_EMPLOYMENT_TAX.netEarningsFactor;
+  if (netEarnings < SELF_EMPLOYMENT_TAX.minimumNetEarnings) {
+    return { netEarnings: 0, socialSecurity: 0, medicare: 0, additionalMedicare: 0, total: 0, deduction: 0 };
+  }
+
+  const fica = getYearData(FICA_BY_YEAR, taxYear);
+  const coveredWages = Math.max(0, wages);
+
+  // Employee and employer halves; wages use up the Social Security wage base first
+  const ssRoom = Math.max(0, fica.socialSecurity.wageBase - coveredWages);
+  const socialSecurity = Math.min(netEarnings, ssRoom) * fica.socialSecurity.rate * 2;
+  const medicare = netEarnings * fica.medicare.rate * 2;
+
+  // Additional Medicare threshold is reduced by all wages on the return (Form 8959)
+  const additionalRoom = Math.max(0, fica.medicare.additionalThreshold[filingStatus] - Math.max(coveredWages, householdWages));
+  const additionalMedicare = Math.max(0, netEarnings - additionalRoom) * fica.medicare.additionalRate;
+
+  return {
+    netEarnings: netEarnings,
+    socialSecurity: socialSecurity,
+    medicare: medicare,
+    additionalMedicare: additionalMedicare,
+    total: socialSecurity + medicare + additionalMedicare,
+    deduction: (socialSecurity + medicare) / 2   // Employer-equivalent half is deductible
+  };
+}
+
+/**
+ * Calculate the Child Tax Credit, split into the part that offsets tax and the refundable part
+ * @param {number} children - Qualifying children under 17
+ * @param {number} taxBeforeCredits - Income tax the credit can offset
+ * @param {number} adjustedGrossIncome - AGI used for the phase-out
+ * @param {number} earnedIncome - Earned income used for the refundable portion
+ * @param {string} filingStatus - Key of FILING_STATUSES
+ * @param {number} taxYear - Tax year whose credit amounts to use
+ * @returns {object} nonrefundable and refundable credit amounts
+ */
+function calculateChildTaxCredit(children, taxBeforeCredits, adjustedGrossIncome, earnedIncome, filingStatus = 'single', taxYear = DATA_YEAR) {
+  if (!(children > 0)) return { nonrefundable: 0, refundable: 0 };
+
+  const ctc = getYearData(CHILD_TAX_CREDIT_BY_YEAR, taxYear);
+
+  // Reduced by $50 for each $1,000 (or part of $1,000) of AGI over the threshold
+  const excessIncome = Math.max(0, adjustedGrossIncome - ctc.phaseOutThreshold[filingStatus]);
+  const reduction = Math.ceil(excessIncome / 1000) * ctc.phaseOutPer1000;
+  const credit = Math.max(0, children * ctc.perChild - reduction);
+
+  // Offsets tax first; the remainder is refundable up to the per-child and earned income limits
+  const nonrefundable = Math.min(credit, Math.max(0, taxBeforeCredits));
+  const refundable = Math.min(
+    credit - nonrefundable,
+    children * ctc.refundableMax,
+    Math.max(0, earnedIncome - ctc.earnedIncomeFloor) * ctc.refundableRate
+  );
+
+  return { nonrefundable, refundable };
+}
+
+/**
+ * Calculate the Earned Income Tax Credit (fully refundable)
+ * @param {number} children - Qualifying children (3 or more share one schedule)
+ * @param {number} earnedIncome - Earned income for the phase-in
+ * @param {number} adjustedGrossIncome - AGI; the phase-out uses the greater of AGI and earned income
+ * @param {string} filingStatus - Key of FILING_STATUSES
+ * @param {number} taxYear - Tax year whose EITC schedule to use
+ * @param {number} investmentIncome - Investment income; too much disqualifies the credit
+ * @returns {number} EITC amount
+ */
+function calculateEITC(children, earnedIncome, adjustedGrossIncome, filingStatus = 'single', taxYear = DATA_YEAR, investmentIncome = 0) {
+  if (filingStatus === 'marriedSeparately' || earnedIncome <= 0) return 0;
+
+  const eitc = getYearData(EITC_BY_YEAR, taxYear);
+  if (investmentIncome > eitc.investmentIncomeLimit) return 0;
+  const column = Math.min(Math.max(0, Math.floor(children) || 0), 3);
+
+  // The credit reaches its (rounded) maximum at the earned income amount
+  const phaseInCredit = earnedIncome >= eitc.earnedIncomeAmount[column]
+    ? eitc.maxCredit[column]
+    : Math.min(earnedIncome * eitc.creditRate[column], eitc.maxCredit[column]);
+  const phaseOutStart = eitc.phaseOutStart[filingStatus === 'married' ? 'married' : 'single'][column];
+  const phaseOutIncome = Math.max(earnedIncome, adjustedGrossIncome);
+  const phaseOutCredit = eitc.maxCredit[column] - Math.max(0, phaseOutIncome - phaseOutStart) * eitc.phaseOutRate[column];
+
+  return Math.max(0, Math.min(phaseInCredit, phaseOutCredit));
+}
+
+/**
+ * Calculate the tentative minimum tax used by the Alternative Minimum Tax
+ * @param {number} amtIncome - Alternative minimum taxable income (AMTI)
+ * @param {number} preferentialIncome - Long-term gains and qualified dividends within AMTI
+ * @param {string} filingStatus - Key of FILING_STATUSES
+ * @param {number} taxYear - Tax year whose AMT exemption and rates to use
+ * @returns {object} Exemption after phase-out and tentative minimum tax
+ */
+function calculateTentativeMinimumTax(amtIncome, preferentialIncome, filingStatus = 'single', taxYear = DATA_YEAR) {
+  const amt = getYearData(AMT_BY_YEAR, taxYear);
+
+  // Exemption phases out above the threshold
+  const reduction = Math.max(0, amtIncome - amt.phaseOutStart[filingStatus]) * amt.phaseOutRate;
+  const exemption = Math.max(0, amt.exemption[filingStatus] - reduction);
+  const amtBase = Math.max(0, amtIncome - exemption);
+
+  // Gains and qualified dividends keep their 0/15/20% rates under the AMT
+  const gainsPortion = Math.min(Math.max(0, preferentialIncome), amtBase);
+  const ordinaryBase = amtBase - gainsPortion;
+  const threshold = amt.rateThreshold[filingStatus];
+  const amtBrackets = [
+    { min: 0, max: threshold, rate: amt.lowRate },
+    { min: threshold, max: Infinity, rate: amt.highRate }
+  ];
+  const gainsBrackets = getYearData(CAPITAL_GAINS_BRACKETS_BY_YEAR, taxYear)[filingStatus];
+  const gainsTax = applyTaxBrackets(amtBase, gainsBrackets) - applyTaxBrackets(ordinaryBase, gainsBrackets);
+
+  return {
+    exemption: exemption,
+    tentativeMinimumTax: applyTaxBrackets(ordinaryBase, amtBrackets) + gainsTax
+  };
+}
+
+/**
+ * Calculate the Net Investment Income Tax
+ * @param {number} investmentIncome - Net investment income
+ * @param {number} modifiedAGI - Modified adjusted gross income
+ * @param {string} filingStatus - Key of FILING_STATUSES
+ * @returns {number} NIIT on the lesser of investment income and MAGI over the threshold
+ */
+function calculateNIIT(investmentIncome, modifiedAGI, filingStatus = 'single') {
+  const excessIncome = Math.max(0, modifiedAGI - NIIT.threshold[filingStatus]);
+  return Math.min(Math.max(0, investmentIncome), excessIncome) * NIIT.rate;
+}
+
+/**
+ * Calculate federal income tax with a breakdown of each step
+ * @param {number} grossIncome - Annual gross income (W-2 wages)
+ * @param {string} filingStatus - Key of FILING_STATUSES ('single', 'married', 'headOfHousehold', 'marriedSeparately')
+ * @param {number} taxYear - Tax year whose brackets and deduction to use
+ * @param {object} options - Optional income, adjustments, deductions and credit inputs
+ * @param {number} options.selfEmploymentIncome - Net self-employment profit on top of wages
+ * @param {number} options.spouseWages - Married filing jointly: the spouse's wages included in grossIncome
+ * @param {number} options.longTermCapitalGains - Net long-term capital gains (0/15/20% rates)
+ * @param {number} options.qualifiedDividends - Qualified dividends (0/15/20% rates)
+ * @param {number} options.saltDeduction - State and local taxes included in itemizedDeductions (disallowed for AMT)
+ * @param {number} options.isoBargainElement - Spread on exercised incentive stock options (AMT preference)
+ * @param {number} options.retirement401k - 401(k)/403(b) elective deferrals
+ * @param {number} options.hsa - HSA contributions
+ * @param {number} options.traditionalIra - Deductible traditional IRA contributions
+ * @param {number} options.itemizedDeductions - Total itemized deductions (Schedule A)
+ * @param {number} options.dependents - Qualifying children under 17 (Child Tax Credit and EITC)
+ * @param {boolean} options.claimChildlessEitc - Claim the EITC with no children (ages 25-64)
+ * @returns {object} AGI, deduction used, taxable income, tax by component, credits and net tax
+ *   (negative when refundable credits exceed tax)
+ */
+function calculateIncomeTaxDetails(grossIncome, filingStatus = 'single', taxYear = DATA_YEAR, options = {}) {
+  const {
+    retirement401k = 0,
+    hsa = 0,
+    traditionalIra = 0,
+    itemizedDeductions = 0,
+    dependents = 0,
+    claimChildlessEitc = false,
+    selfEmploymentIncome = 0,
+    longTermCapitalGains = 0,
+    qualifiedDividends = 0,
+    saltDeduction = 0,
+    isoBargainElement = 0
+  } = options;
+
+  // Half of self-employment tax is an above-the-line deduction. SE earnings belong to the
+  // primary earner, so only their wages use up the wage base (same split as calculateFICA).
+  const spouseWages = filingStatus === 'married' ? Math.min(Math.max(0, options.spouseWages || 0), Math.max(0, grossIncome)) : 0;
+  const primaryWages = Math.max(0, grossIncome - spouseWages - Math.max(0, hsa));
+  const seTax = calculateSelfEmploymentTax(selfEmploymentIncome, primaryWages, filingStatus, taxYear, primaryWages + spouseWages);
+  const investmentIncome = Math.max(0, longTermCapitalGains) + Math.max(0, qualifiedDividends);
+  const totalIncome = grossIncome + Math.max(0, selfEmploymentIncome) + investmentIncome;
+
+  // Above-the-line adjustments reduce income before the deduction
+  const aboveTheLine = Math.max(0, retirement401k) + Math.max(0, hsa) + Math.max(0, traditionalIra) + seTax.deduction;
+  const adjustedGrossIncome = Math.max(0, totalIncome - aboveTheLine);
+
+  // Take whichever deduction is larger
+  const standardDeduction = getYearData(STANDARD_DEDUCTIONS_BY_YEAR, taxYear)[filingStatus];
+  const useItemized = itemizedDeductions > standardDeduction;
+  const deduction = useItemized ? itemizedDeductions : standardDeduction;
+
+  const taxableIncome = Math.max(0, adjustedGrossIncome - deduction);
+
+  // Ordinary income fills the regular brackets first; gains and qualified
+  // dividends stack on top and are taxed at the 0/15/20% rates
+  const preferentialIncome = Math.min(investmentIncome, taxableIncome);
+  const ordinaryTaxableIncome = taxableIncome - preferentialIncome;
+  const brackets = getYearData(TAX_BRACKETS_BY_YEAR, taxYear)[filingStatus];
+  const gainsBrackets = getYearData(CAPITAL_GAINS_BRACKETS_BY_YEAR, taxYear)[filingStatus];
+  const ordinaryTax = applyTaxBrackets(ordinaryTaxableIncome, brackets);
+  const capitalGainsTax = applyTaxBrackets(taxableIncome, gainsBrackets) -
+                          applyTaxBrackets(ordinaryTaxableIncome, gainsBrackets);
+  const regularTax = ordinaryTax + capitalGainsTax;
+
+  // AMT: no standard deduction or SALT deduction, plus ISO spread; owe the greater of the two taxes
+  const amtIncome = adjustedGrossIncome -
+                    (useItemized ? deduction - Math.min(Math.max(0, saltDeduction), deduction) : 0) +
+                    Math.max(0, isoBargainElement);
+  const tentative = calculateTentativeMinimumTax(amtIncome, preferentialIncome, filingStatus, taxYear);
+  const alternativeMinimumTax = Math.max(0, tentative.tentativeMinimumTax - regularTax);
+  const taxBeforeCredits = regularTax + alternativeMinimumTax;
+
+  // NIIT is a separate tax that credits cannot offset
+  const netInvestmentIncomeTax = calculateNIIT(investmentIncome, adjustedGrossIncome, filingStatus);
+
+  // Credits: W-2 wages after payroll deferrals plus net SE earnings less the SE deduction
+  const earnedIncome = Math.max(0, grossIncome - Math.max(0, retirement401k) - Math.max(0, hsa)) +
+                       seTax.netEarnings - seTax.deduction;
+  const childTaxCredit = calculateChildTaxCredit(dependents, taxBeforeCredits, adjustedGrossIncome, earnedIncome, filingStatus, taxYear);
+  const earnedIncomeCredit = (dependents > 0 || claimChildlessEitc)
+    ? calculateEITC(dependents, earnedIncome, adjustedGrossIncome, filingStatus, taxYear, investmentIncome)
+    : 0;
+  const totalCredits = childTaxCredit.nonrefundable + childTaxCredit.refundable + earnedIncomeCredit;
+
+  return {
+    selfEmploymentTaxDeduction: seTax.deduction,
+    adjustedGrossIncome: adjustedGrossIncome,
+    deduction: deduction,
+    deductionType: useItemized ? 'itemized' : 'standard',
+    taxableIncome: taxableIncome,
+    ordinaryTax: ordinaryTax,
+    capitalGainsTax: capitalGainsTax,
+    regularTax: regularTax,
+    amtIncome: amtIncome,
+    amtExemption: tentative.exemption,
+    tentativeMinimumTax: tentative.tentativeMinimumTax,
+    alternativeMinimumTax: alternativeMinimumTax,
+    amtBinding: alternativeMinimumTax > 0,
+    taxBeforeCredits: taxBeforeCredits,
+    childTaxCredit: childTaxCredit.nonrefundable,
+    additionalChildTaxCredit: childTaxCredit.refundable,
+    earnedIncomeCredit: earnedIncomeCredit,
+    totalCredits: totalCredits,
+    netInvestmentIncomeTax: netInvestmentIncomeTax,
+    tax: taxBeforeCredits - totalCredits + netInvestmentIncomeTax
+  };
+}
+
+/**
+ * Calculate federal income tax using progressive brackets
  * @param {number} grossIncome - Annual gross income
- * @param {string} filingStatus - 'single' or 'married'
- * @returns {object} Social Security and Medicare tax amounts
+ * @param {string} filingStatus - Key of FILING_STATUSES ('single', 'married', 'headOfHousehold', 'marriedSeparately')
+ * @param {number} taxYear - Tax year whose brackets and deduction to use
+ * @param {object} options - Optional adjustments, deductions and credit inputs (see calculateIncomeTaxDetails)
+ * @returns {number} Federal income tax amount after credits (negative when refundable credits exceed tax)
+ */
+function calculateIncomeTax(grossIncome, filingStatus = 'single', taxYear = DATA_YEAR, options = {}) {
+  return calculateIncomeTaxDetails(grossIncome, filingStatus, taxYear, options).tax;
+}
+
+/**
+ * Find the gross wage income that produces a given federal income tax,
+ * the inverse of calculateIncomeTax with the standard deduction and no credits
+ * @param {number} incomeTax - Federal income tax paid
+ * @param {string} filingStatus - Key of FILING_STATUSES
+ * @param {number} taxYear - Tax year whose brackets and deduction to use
+ * @returns {number} Estimated gross income (0 when no tax was paid)
+ */
+function estimateIncomeFromTax(incomeTax, filingStatus = 'single', taxYear = DATA_YEAR) {
+  if (!(incomeTax > 0)) return 0;
+
+  const brackets = getYearData(TAX_BRACKETS_BY_YEAR, taxYear)[filingStatus];
+  const standardDeduction = getYearData(STANDARD_DEDUCTIONS_BY_YEAR, taxYear)[filingStatus];
+
+  // Walk up the brackets until the tax left over fits inside one
+  let remainingTax = incomeTax;
+  let previousMax = 0;
+  for (const bracket of brackets) {
+    const bracketTax = (bracket.max - previousMax) * bracket.rate;
+    if (remainingTax <= bracketTax) {
+      return previousMax + remainingTax / bracket.rate + standardDeduction;
+    }
+    remainingTax -= bracketTax;
+    previousMax = bracket.max;
+  }
+
+  return previousMax + standardDeduction;
+}
+
+/**
+ * Calculate FICA (payroll) taxes, including self-employment tax
+ * @param {number} grossIncome - Annual gross income (W-2 wages, combined for joint filers)
+ * @param {string} filingStatus - Key of FILING_STATUSES ('single', 'married', 'headOfHousehold', 'marriedSeparately')
+ * @param {number} taxYear - Tax year whose wage base to use
+ * @param {object} options - Optional pre-tax contributions and self-employment income (see calculateIncomeTaxDetails)
+ * @param {number} options.spouseWages - Married filing jointly: the spouse's wages included in grossIncome
+ * @param {boolean} options.includeEmployerShare - Add the employer's matching 7.65% on wages
+ * @returns {object} Social Security and Medicare tax amounts (SE tax included in each)
  */
-function calculateFICA(grossIncome, filingStatus = 'single') {
-  // Social Security (capped at wage base)
-  const ssWages = Math.min(grossIncome, FICA.socialSecurity.wageBase);
-  const socialSecurityTax = ssWages * FICA.socialSecurity.rate;
+function calculateFICA(grossIncome, filingStatus = 'single', taxYear = DATA_YEAR, options = {}) {
+  const fica = getYearData(FICA_BY_YEAR, taxYear);
 
-  // Medicare (no cap, but additional tax above threshold)
-  let medicareTax = grossIncome * FICA.medicare.rate;
-  const additionalThreshold = FICA.medicare.additionalThreshold[filingStatus];
-  if (grossIncome > additionalThreshold) {
-    medicareTax += (grossIncome - additionalThreshold) * FICA.medicare.additionalRate;
+  // Each spouse on a joint return has their own Social Security wage base
+  const totalWages = Math.max(0, grossIncome);
+  const spouseWages = filingStatus === 'married' ? Math.min(Math.max(0, options.spouseWages || 0), totalWages) : 0;
+
+  // 401(k) deferrals remain FICA wages; payroll HSA contributions do not
+  const primaryWages = Math.max(0, totalWages - spouseWages - Math.max(0, options.hsa || 0));
+  const ficaWages = primaryWages + spouseWages;
+
+  // Social Security (capped at wage base, per earner)
+  const ssWages = Math.min(primaryWages, fica.socialSecurity.wageBase) +
+                  Math.min(spouseWages, fica.socialSecurity.wageBase);
+  const socialSecurityTax = ssWages * fica.socialSecurity.rate;
+
+  // Medicare (no cap, but additional tax above threshold on the couple's combined wages)
+  let medicareTax = ficaWages * fica.medicare.rate;
+  const additionalThreshold = fica.medicare.additionalThreshold[filingStatus];
+  if (ficaWages > additionalThreshold) {
+    medicareTax += (ficaWages - additionalThreshold) * fica.medicare.additionalRate;
   }
 
+  // Self-employment tax covers both halves of FICA on net SE earnings (attributed to the primary earner)
+  const seTax = calculateSelfEmploymentTax(options.selfEmploymentIncome || 0, primaryWages, filingStatus, taxYear, ficaWages);
+
+  // Employer match: same base rates, no Additional Medicare. SE tax already includes both halves.
+  const employerSocialSecurity = options.includeEmployerShare ? ssWages * fica.socialSecurity.rate : 0;
+  const employerMedicare = options.includeEmployerShare ? ficaWages * fica.medicare.rate : 0;
+  const employerShare = employerSocialSecurity + employerMedicare;
+
   return {
-    socialSecurity: socialSecurityTax,
-    medicare: medicareTax,
-    total: socialSecurityTax + medicareTax
+    socialSecurity: socialSecurityTax + seTax.socialSecurity + employerSocialSecurity,
+    medicare: medicareTax + seTax.medicare + seTax.additionalMedicare + employerMedicare,
+    selfEmploymentTax: seTax.total,
+    employerShare: employerShare,
+    total: socialSecurityTax + medicareTax + seTax.total + employerShare
   };
 }
 
+/**
+ * Recover Medicare wages from W-2 box 6
+ * @param {number} medicareWithheld - W-2 box 6, including any Additional Medicare withholding
+ * @param {number} taxYear - Tax year whose rates to use
+ * @returns {number} Wages subject to Medicare tax
+ */
+function calculateMedicareWagesFromWithholding(medicareWithheld, taxYear = DATA_YEAR) {
+  const medicare = getYearData(FICA_BY_YEAR, taxYear).medicare;
+
+  // Box 6 includes 0.9% withheld above the $200,000 withholding threshold
+  const withheldAtThreshold = ADDITIONAL_MEDICARE_WITHHOLDING_THRESHOLD * medicare.rate;
+  const withheld = Math.max(0, medicareWithheld);
+  return withheld <= withheldAtThreshold
+    ? withheld / medicare.rate
+    : ADDITIONAL_MEDICARE_WITHHOLDING_THRESHOLD + (withheld - withheldAtThreshold) / (medicare.rate + medicare.additionalRate);
+}
+
+/**
+ * Calculate the employer's matching payroll tax from W-2 withholding
+ * @param {number} socialSecurityWithheld - W-2 box 4
+ * @param {number} medicareWithheld - W-2 box 6, including any Additional Medicare withholding
+ * @param {number} taxYear - Tax year whose rates to use
+ * @returns {number} Employer Social Security and Medicare tax on the same wages
+ */
+function calculateEmployerFICAMatch(socialSecurityWithheld, medicareWithheld, taxYear = DATA_YEAR) {
+  const medicareRate = getYearData(FICA_BY_YEAR, taxYear).medicare.rate;
+  return Math.max(0, socialSecurityWithheld) + calculateMedicareWagesFromWithholding(medicareWithheld, taxYear) * medicareRate;
+}
+
+/**
+ * Estimate the corporate, excise and customs taxes a household bears indirectly
+ * @param {number} income - Household income before taxes
+ * @param {number} taxYear - Tax year whose revenue to scale by
+ * @returns {object} Indirect tax by component and total
+ */
+function calculateIndirectTaxes(income, taxYear = DATA_YEAR) {
+  const base = getYearData(FEDERAL_BUDGET_BY_YEAR, INDIRECT_TAX_INCIDENCE.baseYear).revenue;
+  const revenue = getYearData(FEDERAL_BUDGET_BY_YEAR, taxYear).revenue;
+  const amount = Math.max(0, income);
+  const band = INDIRECT_TAX_INCIDENCE.bands.find(b => amount <= b.maxIncome);
+
+  const corporate = amount * band.corporate * (revenue.corporateTax / base.corporateTax);
+  const excise = amount * band.excise * (revenue.exciseTax / base.exciseTax);
+  const customs = amount * band.customs * (revenue.customsDuties / base.customsDuties);
+
+  return {
+    corporate: corporate,
+    excise: excise,
+    customs: customs,
+    total: corporate + excise + customs
+  };
+}
+
+/**
+ * Split a share into the part paid by current taxes and the part borrowed,
+ * and project the interest that accrues on the borrowed part
+ * @param {number} share - Personal share of a spending item
+ * @param {number} taxYear - Tax year whose deficit and debt figures to use
+ * @param {number} interestYears - Years the borrowed part stays outstanding
+ * @param {object} assumptions - What-if overrides for getDeficitShare
+ * @param {number} fundingBorrowedShare - Fraction of the spending its funding already borrows
+ *   (a borrowing source). share then covers only the tax-funded part, and the national
+ *   deficit share isn't applied on top of it.
+ * @returns {object} paidNow, borrowed and futureInterest amounts with the rates used
+ */
+function calculateDeficitSplit(share, taxYear = DATA_YEAR, interestYears = 10, assumptions = null, fundingBorrowedShare = null) {
+  const budget = getYearData(FEDERAL_BUDGET_BY_YEAR, taxYear);
+  const fromFunding = fundingBorrowedShare !== null;
+  const deficitShare = fromFunding ? fundingBorrowedShare : getDeficitShare(taxYear, assumptions);
+
+  // Average rate on the debt: this year's net interest over debt held by the public
+  const interestRate = budget.spending.netInterest / budget.debtHeldByPublic;
+  const years = Math.max(0, interestYears);
+
+  // With borrowing in the funding, the borrowed slice is charged at the same rate per dollar as the funded part
+  const borrowed = fromFunding
+    ? (deficitShare < 1 ? share * deficitShare / (1 - deficitShare) : 0)
+    : share * deficitShare;
+
+  return {
+    paidNow: fromFunding ? share : share - borrowed,
+    borrowed: borrowed,
+    futureInterest: borrowed * (Math.pow(1 + interestRate, years) - 1), // interest compounds when rolled over
+    deficitShare: deficitShare,
+    fromFunding: fromFunding,
+    interestRate: interestRate,
+    interestYears: years
+  };
+}
+
+/**
+ * Split a spending amount across weighted revenue sources and take the user's
+ * proportion of each funded slice
+ * @param {object} yourTaxes - Taxes the user paid, keyed by TAX_SOURCES key
+ * @param {Array} sources - Weighted sources ([{ source: 'income', weight: 0.5 }, ...])
+ * @param {object} revenue - Revenue pools for the year
+ * @param {number} spendingAmount - The spending amount to split
+ * @returns {object} Share, proportion, per-source contributions, weighted revenue and borrowed amount
+ */
+function calculateWeightedShare(yourTaxes, sources, revenue, spendingAmount) {
+  const contributions = {};
+  let proportion = 0;
+  let weightedRevenue = 0;
+  let borrowedAmount = 0;
+
+  for (const { source, weight } of sources) {
+    if (!weight) continue;
+    const revenueKey = TAX_SOURCES[source].revenueKey;
+
+    if (!revenueKey) {
+      // Borrowed money isn't paid from anyone's current taxes
+      borrowedAmount += spendingAmount * weight;
+      contributions[source] = 0;
+      continue;
+    }
+
+    const sourceProportion = ((yourTaxes[source] || 0) / revenue[revenueKey]) * weight;
+    contributions[source] = sourceProportion * spendingAmount;
+    proportion += sourceProportion;
+    weightedRevenue += revenue[revenueKey] * weight;
+  }
+
+  return { yourShare: proportion * spendingAmount, proportion, contributions, weightedRevenue, borrowedAmount };
+}
+
+/**
+ * Describe how a set of weighted sources funds spending
+ * @param {Array} sources - Weighted sources, as in FUNDING_CATEGORIES
+ * @returns {string} A single source's label, or the mix of sources
+ */
+function describeSources(sources) {
+  const funded = sources.filter(({ weight }) => weight > 0);
+  if (funded.length === 1) return TAX_SOURCES[funded[0].source].label;
+  return `Mixed (${funded.map(({ source }) => TAX_SOURCES[source].shortLabel).join(' + ')})`;
+}
+
 /**
  * Calculate user's share of a given spending amount
  * @param {object} params - Calculation parameters
- * @param {number} params.incomeTax - User's federal income tax
+ * @param {number} params.incomeTax - User's federal income tax after credits (may be negative)
  * @param {number} params.ficaTax - User's total FICA tax
  * @param {number} params.spendingAmount - The spending amount to calculate share of
  * @param {string} params.category - Funding category key
+ * @param {number} params.taxYear - Tax year whose federal budget to use
+ * @param {number} params.indirectTax - Corporate, excise and customs taxes borne (full burden model)
+ * @param {object} params.indirectTaxes - calculateIndirectTaxes estimate, for fuel excise and customs sources
+ * @param {boolean} params.fullBurden - Divide all taxes paid by total federal revenue
+ * @param {boolean} params.deficitAware - Split the share into paid now, borrowed and future interest
+ * @param {number} params.interestYears - Years of interest to project on the borrowed part
+ * @param {number} params.dollarYear - Year spendingAmount is stated in, if not taxYear
+ * @param {object} params.fundingMix - Custom fractions by TAX_SOURCES key, replacing the category's funding
+ * @param {object} params.estimates - Low/central/high estimates ({ value, source }) for a disputed amount
+ * @param {object} params.assumptions - What-if overrides: revenue multipliers, category sources and deficit share
  * @returns {object} Calculation result with share and breakdown
+ * @throws {Error} If category is not a FUNDING_CATEGORIES key and no fundingMix is given
  */
-function calculateShare({ incomeTax, ficaTax, spendingAmount, category }) {
-  const categoryData = FUNDING_CATEGORIES[category];
+function calculateShare({
+  incomeTax, ficaTax, spendingAmount, category, taxYear = DATA_YEAR,
+  indirectTax = 0, indirectTaxes = null, fullBurden = false, deficitAware = false, interestYears = 10,
+  dollarYear = null, fundingMix = null, estimates = null, assumptions = null
+}) {
+  const revenue = getRevenueData(taxYear, assumptions);
+  const sourceOverride = assumptions && assumptions.sources && assumptions.sources[category];
+  let categoryData = FUNDING_CATEGORIES[category];
+  if (fundingMix) {
+    categoryData = {
+      name: 'Custom Funding Mix',
+      sources: Object.entries(fundingMix).map(([source, weight]) => ({ source, weight })),
+      spendingLines: ['total']
+    };
+  } else if (!categoryData) {
+    // 'custom' has no FUNDING_CATEGORIES entry and only works with a fundingMix
+    throw new Error(`Unknown funding category "${category}"${category === 'custom' ? ' without a fundingMix' : ''}`);
+  } else if (sourceOverride) {
+    categoryData = { ...categoryData, sources: sourceOverride };
+  }
+  const { budgetPool } = getCategoryPools(categoryData, taxYear, assumptions);
+  const funded = categoryData.sources.filter(({ weight }) => weight > 0);
+
+  // Refundable credits can push income tax below zero. A net credit recipient
+  // contributes nothing to income-tax-funded spending, rather than a negative share.
+  const incomeTaxPaid = Math.max(0, incomeTax);
+
+  // What the user pays into each source. Only part of all excise tax goes to the Highway Trust Fund.
+  const yourTaxes = {
+    income: incomeTaxPaid,
+    fica: ficaTax,
+    fuelExcise: indirectTaxes ? indirectTaxes.excise * (revenue.highwayTrustFund / revenue.exciseTax) : 0,
+    customs: indirectTaxes ? indirectTaxes.customs : 0
+  };
 
   let yourShare;
   let breakdown = {};
 
-  if (categoryData.taxSource === 'income') {
-    // Income tax funded spending
-    const proportion = incomeTax / categoryData.revenuePool;
+  if (fullBurden) {
+    // Full burden: every tax you bear, directly or indirectly, against all federal revenue
+    const yourTax = incomeTaxPaid + ficaTax + Math.max(0, indirectTax);
+    const proportion = yourTax / revenue.total;
     yourShare = proportion * spendingAmount;
     breakdown = {
-      taxType: 'Federal Income Tax',
-      yourTax: incomeTax,
-      totalRevenue: categoryData.revenuePool,
+      taxType: 'All Federal Taxes',
+      yourTax: yourTax,
+      indirectTax: Math.max(0, indirectTax),
+      totalRevenue: revenue.total,
       proportion: proportion
     };
-  } else if (categoryData.taxSource === 'fica') {
-    // FICA funded spending (Social Security)
-    const proportion = ficaTax / categoryData.revenuePool;
-    yourShare = proportion * spendingAmount;
+  } else {
+    // Each source funds its weight of the spending, divided by that source's revenue
+    const weighted = calculateWeightedShare(yourTaxes, categoryData.sources, revenue, spendingAmount);
+    yourShare = weighted.yourShare;
+    const taxType = fundingMix
+      ? `Custom Mix (${funded.map(({ source, weight }) => `${Math.round(weight * 100)}% ${TAX_SOURCES[source].shortLabel}`).join(', ')})`
+      : describeSources(categoryData.sources);
     breakdown = {
-      taxType: 'Payroll Tax (FICA)',
-      yourTax: ficaTax,
-      totalRevenue: categoryData.revenuePool,
-      proportion: proportion
+      taxType: taxType,
+      contributions: weighted.contributions,
+      borrowedAmount: weighted.borrowedAmount,
+      yourTax: funded.reduce((sum, { source }) => sum + (yourTaxes[source] || 0), 0),
+      totalRevenue: weighted.weightedRevenue,
+      proportion: weighted.proportion
     };
-  } else if (categoryData.taxSource === 'mixed') {
-    // Mixed funding (Medicare/Medicaid)
-    const incomeShare = (incomeTax / FEDERAL_BUDGET.revenue.individualIncomeTax) *
-                        spendingAmount * categoryData.incomeSharePercent;
-    const ficaShare = (ficaTax / FEDERAL_BUDGET.revenue.payrollTax) *
-                      spendingAmount * categoryData.ficaSharePercent;
-    yourShare = incomeShare + ficaShare;
-    breakdown = {
-      taxType: 'Mixed (Income Tax + FICA)',
-      incomeContribution: incomeShare,
-      ficaContribution: ficaShare,
-      yourTax: incomeTax + ficaTax,
-      proportion: yourShare / spendingAmount
+  }
+
+  const deficitPercent = Math.round(getDeficitShare(taxYear, assumptions) * 100);
+
+  // A borrowing source already leaves its slice out of the share; the split uses that slice, not the national deficit
+  const fundingBorrowedShare = breakdown.borrowedAmount > 0 && spendingAmount > 0
+    ? breakdown.borrowedAmount / spendingAmount
+    : null;
+
+  // Restate amounts quoted in another year's dollars in the tax year's dollars
+  let inflation = null;
+  if (dollarYear && dollarYear !== taxYear) {
+    const factor = getInflationFactor(dollarYear, taxYear);
+    inflation = {
+      dollarYear: dollarYear,
+      factor: factor,
+      currentDollarAmount: spendingAmount * factor,
+      currentDollarShare: yourShare * factor
     };
   }
 
+  // The share scales with the amount, so each estimate gets the same share per dollar
+  let range = null;
+  if (estimates) {
+    const sharePerDollar = spendingAmount > 0 ? yourShare / spendingAmount : 0;
+    range = {};
+    for (const [level, estimate] of Object.entries(estimates)) {
+      range[level] = { ...estimate, yourShare: estimate.value * sharePerDollar };
+    }
+  }
+
   return {
     yourShare: yourShare,
     spendingAmount: spendingAmount,
     category: categoryData.name,
-    taxSource: categoryData.taxSource,
-    budgetPool: categoryData.budgetPool,
+    taxSource: fundingMix ? 'custom' : (funded.length === 1 ? funded[0].source : 'mixed'),
+    taxYear: taxYear,
+    budgetPool: budgetPool,
     breakdown: breakdown,
-    exceedsBudget: spendingAmount > categoryData.budgetPool,
-    deficitNote: 'About 28% of federal spending is deficit-financed (borrowed), not directly from current taxes.'
+    netIncomeTaxCredit: Math.max(0, -incomeTax),
+    exceedsBudget: spendingAmount > budgetPool,
+    deficitSplit: deficitAware ? calculateDeficitSplit(yourShare, taxYear, interestYears, assumptions, fundingBorrowedShare) : null,
+    inflation: inflation,
+    range: range,
+    deficitNote: `About ${deficitPercent}% of federal spending is deficit-financed (borrowed), not directly from current taxes.`
+  };
+}
+
+/**
+ * Calculate a share for spending spread over several fiscal years, dividing
+ * each year's amount by that year's revenue
+ * @param {object} params - Same parameters as calculateShare, minus spendingAmount
+ * @param {object} params.schedule - Spending by fiscal year ({ 2008: 2_700_000_000, ... })
+ * @param {number} params.taxYear - Year whose dollars and revenue the current-dollar total uses
+ * @returns {object} Per-year rows, total share and average share per program year
+ */
+function calculateScheduleShares({ schedule, taxYear = DATA_YEAR, ...params }) {
+  const years = Object.keys(schedule).map(Number).sort((a, b) => a - b);
+
+  const rows = years.map(year => {
+    const result = calculateShare({ ...params, spendingAmount: schedule[year], taxYear: year });
+    return {
+      year: year,
+      spendingAmount: schedule[year],
+      currentDollarAmount: schedule[year] * getInflationFactor(year, taxYear),
+      totalRevenue: result.breakdown.totalRevenue,
+      proportion: result.breakdown.proportion,
+      yourShare: result.yourShare
+    };
+  });
+
+  const totalShare = rows.reduce((sum, row) => sum + row.yourShare, 0);
+  const currentDollarSpending = rows.reduce((sum, row) => sum + row.currentDollarAmount, 0);
+
+  return {
+    rows: rows,
+    totalSpending: rows.reduce((sum, row) => sum + row.spendingAmount, 0),
+    totalShare: totalShare,
+    perYear: rows.length > 0 ? totalShare / rows.length : 0,
+    currentDollarSpending: currentDollarSpending,
+    currentDollarShare: calculateShare({ ...params, spendingAmount: currentDollarSpending, taxYear }).yourShare
   };
 }
 
+/**
+ * Calculate the cumulative share of a recurring annual cost over a span of years.
+ * Income grows each year, and the user's taxes grow by the same factor as the modeled
+ * tax on a single earner's wages, so year one matches their actual taxes. Years past
+ * the last of TAX_YEARS use that year's tax rules and revenue.
+ * @param {object} params - Same parameters as calculateShare, minus spendingAmount
+ * @param {number} params.annualAmount - Spending per year, in nominal dollars
+ * @param {number} params.years - Number of years to add up, starting with taxYear
+ * @param {number} params.incomeGrowth - Yearly income growth as a decimal (0.03 = 3%)
+ * @param {number} params.income - Gross income in taxYear, used to project taxes
+ * @param {boolean} params.includeEmployerShare - Count the employer's half of payroll tax
+ * @returns {object} Per-year rows, total share and average share per year
+ */
+function calculateCumulativeShare({
+  annualAmount, years = 30, incomeGrowth = 0.03, income = 0, filingStatus = 'single',
+  includeEmployerShare = false, incomeTax, ficaTax, taxYear = DATA_YEAR, ...params
+}) {
+  const lastYear = TAX_YEARS[TAX_YEARS.length - 1];
+  const modelTaxes = (wages, year) => ({
+    incomeTax: calculateIncomeTax(wages, filingStatus, year),
+    ficaTax: calculateFICA(wages, filingStatus, year, { includeEmployerShare }).total
+  });
+  // Hold a tax flat when it can't be scaled (no modeled tax in the first year)
+  const project = (actual, base, projected) => (base > 0 ? actual * (projected / base) : actual);
+  const baseTaxes = modelTaxes(income, Math.min(taxYear, lastYear));
+
+  const rows = [];
+  for (let i = 0; i < years; i++) {
+    const year = taxYear + i;
+    const dataYear = Math.min(year, lastYear);
+    const yearIncome = income * Math.pow(1 + incomeGrowth, i);
+    const modeled = modelTaxes(yearIncome, dataYear);
+    const indirectTaxes = calculateIndirectTaxes(yearIncome, dataYear);
+    const taxes = {
+      incomeTax: project(incomeTax, baseTaxes.incomeTax, modeled.incomeTax),
+      ficaTax: project(ficaTax, baseTaxes.ficaTax, modeled.ficaTax)
+    };
+    const result = calculateShare({
+      ...params,
+      ...taxes,
+      indirectTax: params.fullBurden ? indirectTaxes.total : 0,
+      indirectTaxes: indirectTaxes,
+      spendingAmount: annualAmount,
+      taxYear: dataYear
+    });
+
+    rows.push({ year, income: yearIncome, ...taxes, yourShare: result.yourShare });
+  }
+
+  const totalShare = rows.reduce((sum, row) => sum + row.yourShare, 0);
+
+  return {
+    rows: rows,
+    totalSpending: annualAmount * rows.length,
+    totalShare: totalShare,
+    perYear: rows.length > 0 ? totalShare / rows.length : 0
+  };
+}
+
+/**
+ * Calculate shares for several spending items side by side, each with its own category
+ * @param {object} params - Same parameters as calculateShare, minus spendingAmount and category
+ * @param {Array} params.items - Items with label, spendingAmount and category, plus optional
+ *   fundingMix, dollarYear and schedule (multi-year items use calculateScheduleShares)
+ * @returns {object} Rows in item order with each share and its size relative to the largest
+ */
+function calculateComparison({ items, ...params }) {
+  const rows = items.map(item => {
+    const itemParams = { ...params, category: item.category, fundingMix: item.fundingMix || null };
+    const result = calculateShare({
+      ...itemParams, spendingAmount: item.spendingAmount, dollarYear: item.dollarYear || null
+    });
+    const yourShare = item.schedule
+      ? calculateScheduleShares({ ...itemParams, schedule: item.schedule }).totalShare
+      : result.yourShare;
+    return { ...item, categoryName: result.category, yourShare };
+  });
+
+  const largestShare = rows.reduce((max, row) => Math.max(max, row.yourShare), 0);
+  rows.forEach(row => {
+    row.relativeShare = largestShare > 0 ? row.yourShare / largestShare : 0;
+  });
+
+  return { rows, largestShare };
+}
+
+/**
+ * Find a funding category by key or display name, ignoring case
+ * @param {string} value - Category key ('defense') or name ('Defense & Military')
+ * @returns {string|null} FUNDING_CATEGORIES key, or null if there is no match
+ */
+function findCategoryKey(value) {
+  const wanted = String(value || '').trim().toLowerCase();
+  return Object.keys(FUNDING_CATEGORIES).find(key =>
+    key.toLowerCase() === wanted || FUNDING_CATEGORIES[key].name.toLowerCase() === wanted
+  ) || null;
+}
+
+/**
+ * Split one CSV line into cells, allowing quoted cells with commas and "" escapes
+ * @param {string} line - A line of CSV text
+ * @returns {Array} Cell strings, trimmed
+ */
+function parseCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+
+  return cells;
+}
+
+/**
+ * Parse a CBO-style cost estimate table: one row per line with a category column
+ * and a column per fiscal year ("2026" or "FY2026"), amounts in millions of dollars.
+ * Negative amounts may be written as "(500)". Total rows and cells that aren't
+ * numbers (CBO's "*" and "-") are skipped. Without a label column, lines are
+ * named "Line 1", "Line 2" and so on.
+ * @param {string} text - CSV text with a header row
+ * @returns {object} Line items ({ label, category, fiscalYear, amount } in dollars) and row errors
+ */
+function parseBillCsv(text) {
+  // Keep each line's number in the source so errors point at the right row past blank lines
+  const lines = text.split(/\r?\n/)
+    .map((line, index) => ({ line, number: index + 1 }))
+    .filter(({ line }) => line.trim());
+  if (lines.length === 0) return { items: [], errors: ['The table is empty.'] };
+
+  const header = parseCsvLine(lines[0].line);
+  const labelIndex = header.findIndex(cell => /^(line|item|label|description)$/i.test(cell));
+  const categoryIndex = header.findIndex(cell => /^category$/i.test(cell));
+  const yearColumns = header
+    .map((cell, index) => ({ index, match: cell.match(/^(?:FY\s*)?(\d{4})$/i) }))
+    .filter(({ match }) => match)
+    .map(({ index, match }) => ({ index, fiscalYear: Number(match[1]) }));
+
+  if (categoryIndex === -1) return { items: [], errors: ['The table needs a Category column.'] };
+  if (yearColumns.length === 0) return { items: [], errors: ['The table needs a column for each fiscal year.'] };
+
+  const items = [];
+  const errors = [];
+  const firstYear = getFirstRevenueYear();
+  for (const { fiscalYear } of yearColumns) {
+    if (fiscalYear < firstYear) errors.push(`FY${fiscalYear}: no revenue data before FY${firstYear}, so the column was skipped.`);
+  }
+  lines.slice(1).forEach(({ line, number }, row) => {
+    const cells = parseCsvLine(line);
+    const label = (labelIndex !== -1 && cells[labelIndex]) || `Line ${row + 1}`;
+
+    // "Total", "Grand total" or "Total, Title I" in the label (or, without one, the category) cell
+    const isTotal = cell => /^(grand\s+|sub)?totals?(\s*[,:-].*)?$/i.test(cell || '');
+    if (isTotal(labelIndex !== -1 ? cells[labelIndex] : '') || isTotal(cells[categoryIndex])) return;
+
+    const category = findCategoryKey(cells[categoryIndex]);
+    if (!category) {
+      errors.push(`Row ${number}: unknown category "${cells[categoryIndex] || ''}".`);
+      return;
+    }
+
+    let found = 0;
+    for (const { index, fiscalYear } of yearColumns) {
+      if (fiscalYear < firstYear) continue;
+      // Accounting style: "(500)" is -500
+      const cell = (cells[index] || '').replace(/[$,\s]/g, '');
+      const negative = /^\(.*\)$/.test(cell);
+      const millions = parseFloat(negative ? cell.slice(1, -1) : cell) * (negative ? -1 : 1);
+      if (!Number.isFinite(millions) || millions === 0) continue;
+      items.push({ label, category, fiscalYear, amount: millions * 1_000_000 });
+      found++;
+    }
+    if (found === 0) errors.push(`Row ${number}: no amounts in the fiscal year columns.`);
+  });
+
+  return { items, errors };
+}
+
+/**
+ * Parse line items from JSON: a list of { label, category, fiscalYear, amount },
+ * with amounts in millions of dollars as in parseBillCsv
+ * @param {string} text - JSON text
+ * @returns {object} Line items (amounts in dollars) and errors
+ */
+function parseBillJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { items: [], errors: [`Could not read the JSON: ${e.message}`] };
+  }
+  if (!Array.isArray(data)) return { items: [], errors: ['The JSON should be a list of line items.'] };
+
+  const items = [];
+  const errors = [];
+  const firstYear = getFirstRevenueYear();
+  data.forEach((entry, index) => {
+    const category = findCategoryKey(entry && entry.category);
+    const fiscalYear = Number(entry && entry.fiscalYear);
+    const millions = Number(entry && entry.amount);
+    if (!category || !Number.isInteger(fiscalYear) || !Number.isFinite(millions)) {
+      errors.push(`Item ${index + 1}: needs a known category, a fiscal year and an amount.`);
+      return;
+    }
+    if (fiscalYear < firstYear) {
+      errors.push(`Item ${index + 1}: no revenue data before FY${firstYear}.`);
+      return;
+    }
+    items.push({ label: entry.label || `Line ${index + 1}`, category, fiscalYear, amount: millions * 1_000_000 });
+  });
+
+  return { items, errors };
+}
+
+/**
+ * Parse an imported cost estimate, as JSON if it looks like JSON and CSV otherwise
+ * @param {string} text - CSV or JSON text
+ * @returns {object} Line items and errors
+ */
+function parseBillImport(text) {
+  return /^\s*[[{]/.test(text) ? parseBillJson(text) : parseBillCsv(text);
+}
+
+/**
+ * Calculate the share of a bill made of line items across categories and fiscal years.
+ * Each line is divided by its fiscal year's revenue, using the user's current taxes;
+ * years past the last of TAX_YEARS use that year's revenue.
+ * @param {object} params - Same parameters as calculateShare, minus spendingAmount and category
+ * @param {Array} params.items - Line items ({ label, category, fiscalYear, amount })
+ * @returns {object} Per-item rows, totals by line and by fiscal year, and the overall total
+ */
+function calculateBillShares({ items, ...params }) {
+  const lastYear = TAX_YEARS[TAX_YEARS.length - 1];
+  const rows = items.map(item => {
+    const result = calculateShare({
+      ...params,
+      category: item.category,
+      fundingMix: null,
+      spendingAmount: item.amount,
+      taxYear: Math.min(item.fiscalYear, lastYear)
+    });
+    return { ...item, categoryName: result.category, yourShare: result.yourShare };
+  });
+
+  // Lines keep the order they were first entered in; years run in order
+  const byLine = [];
+  const byYear = [];
+  for (const row of rows) {
+    let line = byLine.find(entry => entry.label === row.label && entry.category === row.category);
+    if (!line) {
+      line = { label: row.label, category: row.category, categoryName: row.categoryName, amount: 0, yourShare: 0 };
+      byLine.push(line);
+    }
+    line.amount += row.amount;
+    line.yourShare += row.yourShare;
+
+    let year = byYear.find(entry => entry.fiscalYear === row.fiscalYear);
+    if (!year) {
+      year = { fiscalYear: row.fiscalYear, amount: 0, yourShare: 0 };
+      byYear.push(year);
+    }
+    year.amount += row.amount;
+    year.yourShare += row.yourShare;
+  }
+  byYear.sort((a, b) => a.fiscalYear - b.fiscalYear);
+
+  return {
+    rows: rows,
+    byLine: byLine,
+    byYear: byYear,
+    totalAmount: rows.reduce((sum, row) => sum + row.amount, 0),
+    totalShare: rows.reduce((sum, row) => sum + row.yourShare, 0)
+  };
+}
+
+/**
+ * Allocate the user's income and payroll taxes across every line of the federal budget.
+ * Each line is funded as in calculateShare, then each tax is spread over the lines it
+ * funds in proportion, so the receipt adds up to the taxes paid.
+ * @param {object} params - Same parameters as calculateShare, minus spendingAmount and category
+ *   (params.assumptions applies what-if revenue and funding overrides to every line)
+ * @returns {object} Rows per spending line, largest share first, and the total allocated
+ */
+function calculateReceipt({ incomeTax, ficaTax, taxYear = DATA_YEAR, ...params }) {
+  const budget = getYearData(FEDERAL_BUDGET_BY_YEAR, taxYear);
+  const lines = Object.keys(budget.spending).filter(line => line !== 'total');
+
+  const shares = lines.map(line => {
+    const category = Object.keys(FUNDING_CATEGORIES)
+      .find(key => FUNDING_CATEGORIES[key].spendingLines.includes(line));
+    const result = calculateShare({
+      ...params, incomeTax, ficaTax, taxYear, spendingAmount: budget.spending[line], category
+    });
+    // The full burden model divides all taxes by one pool instead of per source
+    return { line, category, result, contributions: result.breakdown.contributions || { all: result.yourShare } };
+  });
+
+  // Spending outruns revenue, so scale each tax's raw shares down to what was actually paid
+  const paid = {
+    income: Math.max(0, incomeTax),
+    fica: ficaTax,
+    all: shares.length > 0 ? shares[0].result.breakdown.yourTax : 0
+  };
+  const scale = {};
+  for (const source of Object.keys(paid)) {
+    const raw = shares.reduce((sum, { contributions }) => sum + (contributions[source] || 0), 0);
+    scale[source] = raw > 0 ? paid[source] / raw : 0;
+  }
+
+  const rows = shares.map(({ line, category, contributions }) => ({
+    line: line,
+    label: SPENDING_LINE_LABELS[line] || line,
+    category: category,
+    spendingAmount: budget.spending[line],
+    yourShare: Object.entries(contributions)
+      .reduce((sum, [source, amount]) => sum + (scale[source] ? amount * scale[source] : 0), 0)
+  }));
+
+  const total = rows.reduce((sum, row) => sum + row.yourShare, 0);
+  rows.forEach(row => {
+    row.percent = total > 0 ? row.yourShare / total : 0;
+  });
+  rows.sort((a, b) => b.yourShare - a.yourShare);
+
+  return { rows, total, taxYear };
+}
+
+/**
+ * Divide a spending amount evenly among residents, households and tax filers
+ * @param {number} spendingAmount - The spending amount
+ * @param {number} taxYear - Year whose population figures to use
+ * @returns {object} Cost per resident, per household and per filer
+ */
+function calculatePerPersonCosts(spendingAmount, taxYear = DATA_YEAR) {
+  const population = getYearData(POPULATION_BY_YEAR, taxYear);
+  return {
+    perResident: spendingAmount / population.residents,
+    perHousehold: spendingAmount / population.households,
+    perFiler: spendingAmount / population.taxFilers
+  };
+}
+
+/**
+ * Estimate the taxes of the median tax filer: a single filer with wages of the median income
+ * @param {number} taxYear - Tax year whose median income and tax rules to use
+ * @param {object} options - Match the user's settings
+ * @param {boolean} options.includeEmployerShare - Count the employer's half of payroll tax
+ * @returns {object} Median income, income tax, FICA tax and indirect taxes
+ */
+function calculateMedianFilerTaxes(taxYear = DATA_YEAR, { includeEmployerShare = false } = {}) {
+  const income = getYearData(POPULATION_BY_YEAR, taxYear).medianFilerIncome;
+  return {
+    income: income,
+    incomeTax: calculateIncomeTax(income, 'single', taxYear),
+    ficaTax: calculateFICA(income, 'single', taxYear, { includeEmployerShare }).total,
+    indirectTaxes: calculateIndirectTaxes(income, taxYear)
+  };
+}
+
+/**
+ * Calculate a spending item's share across a ladder of incomes and filing statuses,
+ * treating all income as one earner's wages with the standard deduction
+ * @param {object} params - Same parameters as calculateShare, minus the taxes
+ * @param {Array} params.incomes - Gross incomes to evaluate
+ * @param {Array} params.filingStatuses - FILING_STATUSES keys to evaluate
+ * @param {boolean} params.includeEmployerShare - Count the employer's half of payroll tax
+ * @param {object} params.schedule - Spending by fiscal year, for multi-year items
+ * @returns {object} Rows of shares by filing status, with the statuses and year used
+ */
+function calculateDistribution({
+  incomes = DISTRIBUTION_INCOMES, filingStatuses = Object.keys(FILING_STATUSES),
+  includeEmployerShare = false, schedule = null, taxYear = DATA_YEAR, ...params
+}) {
+  const rows = incomes.map(income => {
+    const indirectTaxes = calculateIndirectTaxes(income, taxYear);
+    const shares = {};
+
+    for (const status of filingStatuses) {
+      const taxes = {
+        incomeTax: calculateIncomeTax(income, status, taxYear),
+        ficaTax: calculateFICA(income, status, taxYear, { includeEmployerShare }).total,
+        indirectTax: params.fullBurden ? indirectTaxes.total : 0,
+        indirectTaxes: indirectTaxes
+      };
+      shares[status] = schedule
+        ? calculateScheduleShares({ ...params, ...taxes, taxYear, schedule }).totalShare
+        : calculateShare({ ...params, ...taxes, taxYear }).yourShare;
+    }
+
+    return { income, shares };
+  });
+
+  return { rows, filingStatuses, taxYear };
+}
+
+/**
+ * Format a distribution table as CSV, one row per income
+ * @param {object} distribution - Result of calculateDistribution
+ * @returns {string} CSV text with a header row
+ */
+function distributionToCsv(distribution) {
+  const header = ['Income', ...distribution.filingStatuses.map(status => FILING_STATUSES[status])];
+  const lines = distribution.rows.map(row => [
+    row.income,
+    ...distribution.filingStatuses.map(status => row.shares[status].toFixed(2))
+  ]);
+  return [header, ...lines].map(cells => cells.join(',')).join('\n');
+}
+
 /**
  * Get a tangible comparison for the calculated share
  * @param {number} share - The calculated share amount
@@ -1,113 +1,870 @@
-// data.js - FY 2024 Federal Tax and Budget Data
+// data.js - Federal Tax and Budget Data (tax years 2023-2026)
 // Sources: IRS, CBO, Tax Foundation, U.S. Treasury Fiscal Data
 
-const DATA_YEAR = 2024;
+const TAX_YEARS = [2023, 2024, 2025, 2026];  // Years offered in the year selector
+const DATA_YEAR = 2024;                      // Default tax year
 const DATA_LAST_UPDATED = '2025-01-10';  // Updated verification date
 
-// Standard Deductions (2024)
-const STANDARD_DEDUCTIONS = {
-  single: 14600,
-  married: 29200
-};
-
-// Federal Income Tax Brackets (2024)
-const TAX_BRACKETS = {
-  single: [
-    { min: 0, max: 11600, rate: 0.10 },
-    { min: 11600, max: 47150, rate: 0.12 },
-    { min: 47150, max: 100525, rate: 0.22 },
-    { min: 100525, max: 191950, rate: 0.24 },
-    { min: 191950, max: 243725, rate: 0.32 },
-    { min: 243725, max: 609350, rate: 0.35 },
-    { min: 609350, max: Infinity, rate: 0.37 }
-  ],
-  married: [
-    { min: 0, max: 23200, rate: 0.10 },
-    { min: 23200, max: 94300, rate: 0.12 },
-    { min: 94300, max: 201050, rate: 0.22 },
-    { min: 201050, max: 383900, rate: 0.24 },
-    { min: 383900, max: 487450, rate: 0.32 },
-    { min: 487450, max: 731200, rate: 0.35 },
-    { min: 731200, max: Infinity, rate: 0.37 }
-  ]
+// Filing statuses (keys used by the deduction, bracket and FICA tables)
+const FILING_STATUSES = {
+  single: 'Single',
+  married: 'Married Filing Jointly',
+  headOfHousehold: 'Head of Household',
+  marriedSeparately: 'Married Filing Separately'
 };
 
-// FICA (Payroll Tax) Rates (2024)
-const FICA = {
-  socialSecurity: {
-    rate: 0.062,           // 6.2% employee portion
-    wageBase: 168600       // Maximum wages subject to SS tax
+// Standard Deductions by tax year
+const STANDARD_DEDUCTIONS_BY_YEAR = {
+  2023: {
+    single: 13850,
+    married: 27700,
+    headOfHousehold: 20800,
+    marriedSeparately: 13850
   },
-  medicare: {
-    rate: 0.0145,          // 1.45% employee portion
-    additionalRate: 0.009, // 0.9% additional Medicare tax
-    additionalThreshold: {
+  2024: {
+    single: 14600,
+    married: 29200,
+    headOfHousehold: 21900,
+    marriedSeparately: 14600
+  },
+  2025: {
+    single: 15750,   // As amended by the One Big Beautiful Bill Act
+    married: 31500,
+    headOfHousehold: 23625,
+    marriedSeparately: 15750
+  },
+  2026: {
+    single: 16100,
+    married: 32200,
+    headOfHousehold: 24150,
+    marriedSeparately: 16100
+  }
+};
+
+// Federal Income Tax Brackets by tax year
+const TAX_BRACKETS_BY_YEAR = {
+  2023: {
+    single: [
+      { min: 0, max: 11000, rate: 0.10 },
+      { min: 11000, max: 44725, rate: 0.12 },
+      { min: 44725, max: 95375, rate: 0.22 },
+      { min: 95375, max: 182100, rate: 0.24 },
+      { min: 182100, max: 231250, rate: 0.32 },
+      { min: 231250, max: 578125, rate: 0.35 },
+      { min: 578125, max: Infinity, rate: 0.37 }
+    ],
+    married: [
+      { min: 0, max: 22000, rate: 0.10 },
+      { min: 22000, max: 89450, rate: 0.12 },
+      { min: 89450, max: 190750, rate: 0.22 },
+      { min: 190750, max: 364200, rate: 0.24 },
+      { min: 364200, max: 462500, rate: 0.32 },
+      { min: 462500, max: 693750, rate: 0.35 },
+      { min: 693750, max: Infinity, rate: 0.37 }
+    ],
+    headOfHousehold: [
+      { min: 0, max: 15700, rate: 0.10 },
+      { min: 15700, max: 59850, rate: 0.12 },
+      { min: 59850, max: 95350, rate: 0.22 },
+      { min: 95350, max: 182100, rate: 0.24 },
+      { min: 182100, max: 231250, rate: 0.32 },
+      { min: 231250, max: 578100, rate: 0.35 },
+      { min: 578100, max: Infinity, rate: 0.37 }
+    ],
+    marriedSeparately: [
+      { min: 0, max: 11000, rate: 0.10 },
+      { min: 11000, max: 44725, rate: 0.12 },
+      { min: 44725, max: 95375, rate: 0.22 },
+      { min: 95375, max: 182100, rate: 0.24 },
+      { min: 182100, max: 231250, rate: 0.32 },
+      { min: 231250, max: 346875, rate: 0.35 },
+      { min: 346875, max: Infinity, rate: 0.37 }
+    ]
+  },
+  2024: {
+    single: [
+      { min: 0, max: 11600, rate: 0.10 },
+      { min: 11600, max: 47150, rate: 0.12 },
+      { min: 47150, max: 100525, rate: 0.22 },
+      { min: 100525, max: 191950, rate: 0.24 },
+      { min: 191950, max: 243725, rate: 0.32 },
+      { min: 243725, max: 609350, rate: 0.35 },
+      { min: 609350, max: Infinity, rate: 0.37 }
+    ],
+    married: [
+      { min: 0, max: 23200, rate: 0.10 },
+      { min: 23200, max: 94300, rate: 0.12 },
+      { min: 94300, max: 201050, rate: 0.22 },
+      { min: 201050, max: 383900, rate: 0.24 },
+      { min: 383900, max: 487450, rate: 0.32 },
+      { min: 487450, max: 731200, rate: 0.35 },
+      { min: 731200, max: Infinity, rate: 0.37 }
+    ],
+    headOfHousehold: [
+      { min: 0, max: 16550, rate: 0.10 },
+      { min: 16550, max: 63100, rate: 0.12 },
+      { min: 63100, max: 100500, rate: 0.22 },
+      { min: 100500, max: 191950, rate: 0.24 },
+      { min: 191950, max: 243700, rate: 0.32 },
+      { min: 243700, max: 609350, rate: 0.35 },
+      { min: 609350, max: Infinity, rate: 0.37 }
+    ],
+    marriedSeparately: [
+      { min: 0, max: 11600, rate: 0.10 },
+      { min: 11600, max: 47150, rate: 0.12 },
+      { min: 47150, max: 100525, rate: 0.22 },
+      { min: 100525, max: 191950, rate: 0.24 },
+      { min: 191950, max: 243725, rate: 0.32 },
+      { min: 243725, max: 365600, rate: 0.35 },
+      { min: 365600, max: Infinity, rate: 0.37 }
+    ]
+  },
+  2025: {
+    single: [
+      { min: 0, max: 11925, rate: 0.10 },
+      { min: 11925, max: 48475, rate: 0.12 },
+      { min: 48475, max: 103350, rate: 0.22 },
+      { min: 103350, max: 197300, rate: 0.24 },
+      { min: 197300, max: 250525, rate: 0.32 },
+      { min: 250525, max: 626350, rate: 0.35 },
+      { min: 626350, max: Infinity, rate: 0.37 }
+    ],
+    married: [
+      { min: 0, max: 23850, rate: 0.10 },
+      { min: 23850, max: 96950, rate: 0.12 },
+      { min: 96950, max: 206700, rate: 0.22 },
+      { min: 206700, max: 394600, rate: 0.24 },
+      { min: 394600, max: 501050, rate: 0.32 },
+      { min: 501050, max: 751600, rate: 0.35 },
+      { min: 751600, max: Infinity, rate: 0.37 }
+    ],
+    headOfHousehold: [
+      { min: 0, max: 17000, rate: 0.10 },
+      { min: 17000, max: 64850, rate: 0.12 },
+      { min: 64850, max: 103350, rate: 0.22 },
+      { min: 103350, max: 197300, rate: 0.24 },
+      { min: 197300, max: 250500, rate: 0.32 },
+      { min: 250500, max: 626350, rate: 0.35 },
+      { min: 626350, max: Infinity, rate: 0.37 }
+    ],
+    marriedSeparately: [
+      { min: 0, max: 11925, rate: 0.10 },
+      { min: 11925, max: 48475, rate: 0.12 },
+      { min: 48475, max: 103350, rate: 0.22 },
+      { min: 103350, max: 197300, rate: 0.24 },
+      { min: 197300, max: 250525, rate: 0.32 },
+      { min: 250525, max: 375800, rate: 0.35 },
+      { min: 375800, max: Infinity, rate: 0.37 }
+    ]
+  },
+  2026: {
+    single: [
+      { min: 0, max: 12400, rate: 0.10 },
+      { min: 12400, max: 50400, rate: 0.12 },
+      { min: 50400, max: 105700, rate: 0.22 },
+      { min: 105700, max: 201775, rate: 0.24 },
+      { min: 201775, max: 256225, rate: 0.32 },
+      { min: 256225, max: 640600, rate: 0.35 },
+      { min: 640600, max: Infinity, rate: 0.37 }
+    ],
+    married: [
+      { min: 0, max: 24800, rate: 0.10 },
+      { min: 24800, max: 100800, rate: 0.12 },
+      { min: 100800, max: 211400, rate: 0.22 },
+      { min: 211400, max: 403550, rate: 0.24 },
+      { min: 403550, max: 512450, rate: 0.32 },
+      { min: 512450, max: 768700, rate: 0.35 },
+      { min: 768700, max: Infinity, rate: 0.37 }
+    ],
+    headOfHousehold: [
+      { min: 0, max: 17700, rate: 0.10 },
+      { min: 17700, max: 67450, rate: 0.12 },
+      { min: 67450, max: 105700, rate: 0.22 },
+      { min: 105700, max: 201750, rate: 0.24 },
+      { min: 201750, max: 256200, rate: 0.32 },
+      { min: 256200, max: 640600, rate: 0.35 },
+      { min: 640600, max: Infinity, rate: 0.37 }
+    ],
+    marriedSeparately: [
+      { min: 0, max: 12400, rate: 0.10 },
+      { min: 12400, max: 50400, rate: 0.12 },
+      { min: 50400, max: 105700, rate: 0.22 },
+      { min: 105700, max: 201775, rate: 0.24 },
+      { min: 201775, max: 256225, rate: 0.32 },
+      { min: 256225, max: 384350, rate: 0.35 },
+      { min: 384350, max: Infinity, rate: 0.37 }
+    ]
+  }
+};
+
+// Long-term capital gains and qualified dividends brackets by tax year
+// Applied to taxable income with gains stacked on top of ordinary income
+const CAPITAL_GAINS_BRACKETS_BY_YEAR = {
+  2023: {
+    single: [
+      { min: 0, max: 44625, rate: 0 },
+      { min: 44625, max: 492300, rate: 0.15 },
+      { min: 492300, max: Infinity, rate: 0.20 }
+    ],
+    married: [
+      { min: 0, max: 89250, rate: 0 },
+      { min: 89250, max: 553850, rate: 0.15 },
+      { min: 553850, max: Infinity, rate: 0.20 }
+    ],
+    headOfHousehold: [
+      { min: 0, max: 59750, rate: 0 },
+      { min: 59750, max: 523050, rate: 0.15 },
+      { min: 523050, max: Infinity, rate: 0.20 }
+    ],
+    marriedSeparately: [
+      { min: 0, max: 44625, rate: 0 },
+      { min: 44625, max: 276900, rate: 0.15 },
+      { min: 276900, max: Infinity, rate: 0.20 }
+    ]
+  },
+  2024: {
+    single: [
+      { min: 0, max: 47025, rate: 0 },
+      { min: 47025, max: 518900, rate: 0.15 },
+      { min: 518900, max: Infinity, rate: 0.20 }
+    ],
+    married: [
+      { min: 0, max: 94050, rate: 0 },
+      { min: 94050, max: 583750, rate: 0.15 },
+      { min: 583750, max: Infinity, rate: 0.20 }
+    ],
+    headOfHousehold: [
+      { min: 0, max: 63000, rate: 0 },
+      { min: 63000, max: 551350, rate: 0.15 },
+      { min: 551350, max: Infinity, rate: 0.20 }
+    ],
+    marriedSeparately: [
+      { min: 0, max: 47025, rate: 0 },
+      { min: 47025, max: 291850, rate: 0.15 },
+      { min: 291850, max: Infinity, rate: 0.20 }
+    ]
+  },
+  2025: {
+    single: [
+      { min: 0, max: 48350, rate: 0 },
+      { min: 48350, max: 533400, rate: 0.15 },
+      { min: 533400, max: Infinity, rate: 0.20 }
+    ],
+    married: [
+      { min: 0, max: 96700, rate: 0 },
+      { min: 96700, max: 600050, rate: 0.15 },
+      { min: 600050, max: Infinity, rate: 0.20 }
+    ],
+    headOfHousehold: [
+      { min: 0, max: 64750, rate: 0 },
+      { min: 64750, max: 566700, rate: 0.15 },
+      { min: 566700, max: Infinity, rate: 0.20 }
+    ],
+    marriedSeparately: [
+      { min: 0, max: 48350, rate: 0 },
+      { min: 48350, max: 300000, rate: 0.15 },
+      { min: 300000, max: Infinity, rate: 0.20 }
+    ]
+  },
+  2026: {
+    single: [
+      { min: 0, max: 49450, rate: 0 },
+      { min: 49450, max: 545500, rate: 0.15 },
+      { min: 545500, max: Infinity, rate: 0.20 }
+    ],
+    married: [
+      { min: 0, max: 98900, rate: 0 },
+      { min: 98900, max: 613700, rate: 0.15 },
+      { min: 613700, max: Infinity, rate: 0.20 }
+    ],
+    headOfHousehold: [
+      { min: 0, max: 66200, rate: 0 },
+      { min: 66200, max: 579600, rate: 0.15 },
+      { min: 579600, max: Infinity, rate: 0.20 }
+    ],
+    marriedSeparately: [
+      { min: 0, max: 49450, rate: 0 },
+      { min: 49450, max: 306850, rate: 0.15 },
+      { min: 306850, max: Infinity, rate: 0.20 }
+    ]
+  }
+};
+
+// Net Investment Income Tax (thresholds are not indexed for inflation)
+const NIIT = {
+  rate: 0.038,
+  threshold: {
+    single: 200000,
+    married: 250000,
+    headOfHousehold: 200000,
+    marriedSeparately: 125000
+  }
+};
+
+// Alternative Minimum Tax by tax year
+// AMT income above the exemption is taxed at 26%, then 28% above rateThreshold
+const AMT_BY_YEAR = {
+  2023: {
+    exemption: {
+      single: 81300,
+      married: 126500,
+      headOfHousehold: 81300,
+      marriedSeparately: 63250
+    },
+    phaseOutStart: {
+      single: 578150,
+      married: 1156300,
+      headOfHousehold: 578150,
+      marriedSeparately: 578150
+    },
+    phaseOutRate: 0.25,      // Exemption reduced by this much per dollar over phaseOutStart
+    rateThreshold: {
+      single: 220700,
+      married: 220700,
+      headOfHousehold: 220700,
+      marriedSeparately: 110350
+    },
+    lowRate: 0.26,
+    highRate: 0.28
+  },
+  2024: {
+    exemption: {
+      single: 85700,
+      married: 133300,
+      headOfHousehold: 85700,
+      marriedSeparately: 66650
+    },
+    phaseOutStart: {
+      single: 609350,
+      married: 1218700,
+      headOfHousehold: 609350,
+      marriedSeparately: 609350
+    },
+    phaseOutRate: 0.25,
+    rateThreshold: {
+      single: 232600,
+      married: 232600,
+      headOfHousehold: 232600,
+      marriedSeparately: 116300
+    },
+    lowRate: 0.26,
+    highRate: 0.28
+  },
+  2025: {
+    exemption: {
+      single: 88100,
+      married: 137000,
+      headOfHousehold: 88100,
+      marriedSeparately: 68500
+    },
+    phaseOutStart: {
+      single: 626350,
+      married: 1252700,
+      headOfHousehold: 626350,
+      marriedSeparately: 626350
+    },
+    phaseOutRate: 0.25,
+    rateThreshold: {
+      single: 239100,
+      married: 239100,
+      headOfHousehold: 239100,
+      marriedSeparately: 119550
+    },
+    lowRate: 0.26,
+    highRate: 0.28
+  },
+  2026: {
+    exemption: {
+      single: 90100,
+      married: 140200,
+      headOfHousehold: 90100,
+      marriedSeparately: 70100
+    },
+    phaseOutStart: {
+      single: 500000,
+      married: 1000000,
+      headOfHousehold: 500000,
+      marriedSeparately: 500000
+    },
+    phaseOutRate: 0.50,      // Doubled by the One Big Beautiful Bill Act
+    rateThreshold: {
+      single: 244500,
+      married: 244500,
+      headOfHousehold: 244500,
+      marriedSeparately: 122250
+    },
+    lowRate: 0.26,
+    highRate: 0.28
+  }
+};
+
+// FICA (Payroll Tax) Rates by tax year
+// Rates and Additional Medicare thresholds are fixed in statute; only the wage base is indexed
+const FICA_BY_YEAR = {
+  2023: {
+    socialSecurity: {
+      rate: 0.062,
+      wageBase: 160200
+    },
+    medicare: {
+      rate: 0.0145,
+      additionalRate: 0.009,
+      additionalThreshold: {
+        single: 200000,
+        married: 250000,
+        headOfHousehold: 200000,
+        marriedSeparately: 125000
+      }
+    }
+  },
+  2024: {
+    socialSecurity: {
+      rate: 0.062,           // 6.2% employee portion
+      wageBase: 168600       // Maximum wages subject to SS tax
+    },
+    medicare: {
+      rate: 0.0145,          // 1.45% employee portion
+      additionalRate: 0.009, // 0.9% additional Medicare tax
+      additionalThreshold: {
+        single: 200000,
+        married: 250000,
+        headOfHousehold: 200000,
+        marriedSeparately: 125000
+      }
+    }
+  },
+  2025: {
+    socialSecurity: {
+      rate: 0.062,
+      wageBase: 176100
+    },
+    medicare: {
+      rate: 0.0145,
+      additionalRate: 0.009,
+      additionalThreshold: {
+        single: 200000,
+        married: 250000,
+        headOfHousehold: 200000,
+        marriedSeparately: 125000
+      }
+    }
+  },
+  2026: {
+    socialSecurity: {
+      rate: 0.062,
+      wageBase: 184500
+    },
+    medicare: {
+      rate: 0.0145,
+      additionalRate: 0.009,
+      additionalThreshold: {
+        single: 200000,
+        married: 250000,
+        headOfHousehold: 200000,
+        marriedSeparately: 125000
+      }
+    }
+  }
+};
+
+// Employers withhold Additional Medicare Tax on wages above $200,000 regardless of
+// filing status, and do not match it
+const ADDITIONAL_MEDICARE_WITHHOLDING_THRESHOLD = 200000;
+
+// Self-employment tax (Schedule SE): both halves of FICA on net SE earnings
+const SELF_EMPLOYMENT_TAX = {
+  netEarningsFactor: 0.9235,   // Net earnings = profit x (1 - 7.65%)
+  minimumNetEarnings: 400      // No SE tax below $400 of net earnings
+};
+
+// Child Tax Credit by tax year (per qualifying child under 17)
+const CHILD_TAX_CREDIT_BY_YEAR = {
+  2023: {
+    perChild: 2000,
+    refundableMax: 1600,        // Additional Child Tax Credit cap per child
+    refundableRate: 0.15,       // 15% of earned income above the floor
+    earnedIncomeFloor: 2500,
+    phaseOutPer1000: 50,        // $50 reduction per $1,000 of AGI over threshold
+    phaseOutThreshold: {
       single: 200000,
-      married: 250000
+      married: 400000,
+      headOfHousehold: 200000,
+      marriedSeparately: 200000
+    }
+  },
+  2024: {
+    perChild: 2000,
+    refundableMax: 1700,
+    refundableRate: 0.15,
+    earnedIncomeFloor: 2500,
+    phaseOutPer1000: 50,
+    phaseOutThreshold: {
+      single: 200000,
+      married: 400000,
+      headOfHousehold: 200000,
+      marriedSeparately: 200000
+    }
+  },
+  2025: {
+    perChild: 2200,             // Raised by the One Big Beautiful Bill Act
+    refundableMax: 1700,
+    refundableRate: 0.15,
+    earnedIncomeFloor: 2500,
+    phaseOutPer1000: 50,
+    phaseOutThreshold: {
+      single: 200000,
+      married: 400000,
+      headOfHousehold: 200000,
+      marriedSeparately: 200000
+    }
+  },
+  2026: {
+    perChild: 2200,
+    refundableMax: 1700,
+    refundableRate: 0.15,
+    earnedIncomeFloor: 2500,
+    phaseOutPer1000: 50,
+    phaseOutThreshold: {
+      single: 200000,
+      married: 400000,
+      headOfHousehold: 200000,
+      marriedSeparately: 200000
+    }
+  }
+};
+
+// Earned Income Tax Credit by tax year
+// Arrays are indexed by number of qualifying children (0, 1, 2, 3 or more)
+// Head of household uses the single phase-out; married filing separately is treated as ineligible
+const EITC_BY_YEAR = {
+  2023: {
+    investmentIncomeLimit: 11000,   // No EITC above this much investment income
+    creditRate: [0.0765, 0.34, 0.40, 0.45],
+    earnedIncomeAmount: [7840, 11750, 16510, 16510],
+    maxCredit: [600, 3995, 6604, 7430],
+    phaseOutRate: [0.0765, 0.1598, 0.2106, 0.2106],
+    phaseOutStart: {
+      single: [9800, 21560, 21560, 21560],
+      married: [16370, 28120, 28120, 28120]
+    }
+  },
+  2024: {
+    investmentIncomeLimit: 11600,
+    creditRate: [0.0765, 0.34, 0.40, 0.45],
+    earnedIncomeAmount: [8260, 12390, 17400, 17400],
+    maxCredit: [632, 4213, 6960, 7830],
+    phaseOutRate: [0.0765, 0.1598, 0.2106, 0.2106],
+    phaseOutStart: {
+      single: [10330, 22720, 22720, 22720],
+      married: [17250, 29640, 29640, 29640]
+    }
+  },
+  2025: {
+    investmentIncomeLimit: 11950,
+    creditRate: [0.0765, 0.34, 0.40, 0.45],
+    earnedIncomeAmount: [8490, 12730, 17880, 17880],
+    maxCredit: [649, 4328, 7152, 8046],
+    phaseOutRate: [0.0765, 0.1598, 0.2106, 0.2106],
+    phaseOutStart: {
+      single: [10620, 23350, 23350, 23350],
+      married: [17730, 30470, 30470, 30470]
+    }
+  },
+  2026: {
+    investmentIncomeLimit: 12200,
+    creditRate: [0.0765, 0.34, 0.40, 0.45],
+    earnedIncomeAmount: [8680, 13020, 18290, 18290],
+    maxCredit: [664, 4427, 7316, 8231],
+    phaseOutRate: [0.0765, 0.1598, 0.2106, 0.2106],
+    phaseOutStart: {
+      single: [10860, 23890, 23890, 23890],
+      married: [18140, 31160, 31160, 31160]
     }
   }
 };
 
-// FY 2024 Federal Budget (in dollars)
-const FEDERAL_BUDGET = {
-  revenue: {
-    total: 4_900_000_000_000,              // $4.9 trillion
-    individualIncomeTax: 2_400_000_000_000, // $2.4 trillion
-    payrollTax: 1_700_000_000_000,          // $1.7 trillion (FICA)
-    corporateTax: 500_000_000_000,          // $0.5 trillion
-    other: 300_000_000_000                  // $0.3 trillion
+// Federal Budget by fiscal year (in dollars)
+// FY 2026 figures are CBO projections
+// Veterans, education and transportation are OMB budget functions 700, 500 and 400,
+// split out of the other discretionary and mandatory lines
+const FEDERAL_BUDGET_BY_YEAR = {
+  2023: {
+    revenue: {
+      total: 4_400_000_000_000,              // $4.4 trillion
+      individualIncomeTax: 2_200_000_000_000, // $2.2 trillion
+      payrollTax: 1_600_000_000_000,          // $1.6 trillion (FICA)
+      corporateTax: 400_000_000_000,          // $0.4 trillion
+      other: 200_000_000_000,                 // $0.2 trillion
+      exciseTax: 76_000_000_000,              // $76 billion (part of other)
+      customsDuties: 80_000_000_000,          // $80 billion (part of other)
+      highwayTrustFund: 43_000_000_000        // $43 billion fuel & truck excise for the Highway Trust Fund (part of exciseTax)
+    },
+    spending: {
+      total: 6_100_000_000_000,               // $6.1 trillion
+      socialSecurity: 1_300_000_000_000,      // $1.3 trillion
+      medicareMedicaid: 1_500_000_000_000,    // $1.5 trillion
+      defense: 800_000_000_000,               // $0.8 trillion
+      veterans: 300_000_000_000,              // $300 billion (VA benefits & health care)
+      education: 200_000_000_000,             // $200 billion (education, training & social services)
+      transportation: 130_000_000_000,        // $130 billion (highways, transit & aviation)
+      otherDiscretionary: 520_000_000_000,    // $520 billion
+      otherMandatory: 650_000_000_000,        // $650 billion
+      netInterest: 700_000_000_000            // $0.7 trillion
+    },
+    deficit: 1_700_000_000_000,               // $1.7 trillion (~28% of spending)
+    debtHeldByPublic: 26_200_000_000_000      // $26.2 trillion at fiscal year end
   },
-  spending: {
-    total: 6_800_000_000_000,               // $6.8 trillion
-    socialSecurity: 1_400_000_000_000,      // $1.4 trillion
-    medicareMedicaid: 1_700_000_000_000,    // $1.7 trillion
-    defense: 900_000_000_000,               // $0.9 trillion
-    otherDiscretionary: 900_000_000_000,    // $0.9 trillion
-    otherMandatory: 1_000_000_000_000,      // $1.0 trillion
-    netInterest: 900_000_000_000            // $0.9 trillion
+  2024: {
+    revenue: {
+      total: 4_900_000_000_000,              // $4.9 trillion
+      individualIncomeTax: 2_400_000_000_000, // $2.4 trillion
+      payrollTax: 1_700_000_000_000,          // $1.7 trillion (FICA)
+      corporateTax: 500_000_000_000,          // $0.5 trillion
+      other: 300_000_000_000,                 // $0.3 trillion
+      exciseTax: 100_000_000_000,             // $100 billion (part of other)
+      customsDuties: 77_000_000_000,          // $77 billion (part of other)
+      highwayTrustFund: 44_000_000_000        // $44 billion fuel & truck excise for the Highway Trust Fund (part of exciseTax)
+    },
+    spending: {
+      total: 6_800_000_000_000,               // $6.8 trillion
+      socialSecurity: 1_400_000_000_000,      // $1.4 trillion
+      medicareMedicaid: 1_700_000_000_000,    // $1.7 trillion
+      defense: 900_000_000_000,               // $0.9 trillion
+      veterans: 320_000_000_000,              // $320 billion (VA benefits & health care)
+      education: 270_000_000_000,             // $270 billion (education, training & social services)
+      transportation: 140_000_000_000,        // $140 billion (highways, transit & aviation)
+      otherDiscretionary: 465_000_000_000,    // $465 billion
+      otherMandatory: 705_000_000_000,        // $705 billion
+      netInterest: 900_000_000_000            // $0.9 trillion
+    },
+    deficit: 1_900_000_000_000,               // $1.9 trillion (~28% of spending)
+    debtHeldByPublic: 28_200_000_000_000      // $28.2 trillion at fiscal year end
   },
-  deficit: 1_900_000_000_000                // $1.9 trillion (~28% of spending)
+  2025: {
+    revenue: {
+      total: 5_200_000_000_000,              // $5.2 trillion
+      individualIncomeTax: 2_600_000_000_000, // $2.6 trillion
+      payrollTax: 1_800_000_000_000,          // $1.8 trillion (FICA)
+      corporateTax: 450_000_000_000,          // $0.45 trillion
+      other: 350_000_000_000,                 // $0.35 trillion (incl. rising customs duties)
+      exciseTax: 100_000_000_000,             // $100 billion (part of other)
+      customsDuties: 195_000_000_000,         // $195 billion (part of other)
+      highwayTrustFund: 44_000_000_000        // $44 billion fuel & truck excise for the Highway Trust Fund (part of exciseTax)
+    },
+    spending: {
+      total: 7_000_000_000_000,               // $7.0 trillion
+      socialSecurity: 1_600_000_000_000,      // $1.6 trillion
+      medicareMedicaid: 1_600_000_000_000,    // $1.6 trillion
+      defense: 900_000_000_000,               // $0.9 trillion
+      veterans: 370_000_000_000,              // $370 billion (VA benefits & health care)
+      education: 250_000_000_000,             // $250 billion (education, training & social services)
+      transportation: 145_000_000_000,        // $145 billion (highways, transit & aviation)
+      otherDiscretionary: 445_000_000_000,    // $445 billion
+      otherMandatory: 690_000_000_000,        // $690 billion
+      netInterest: 1_000_000_000_000          // $1.0 trillion
+    },
+    deficit: 1_800_000_000_000,               // $1.8 trillion (~26% of spending)
+    debtHeldByPublic: 30_300_000_000_000      // $30.3 trillion at fiscal year end
+  },
+  2026: {
+    revenue: {
+      total: 5_500_000_000_000,              // $5.5 trillion
+      individualIncomeTax: 2_700_000_000_000, // $2.7 trillion
+      payrollTax: 1_900_000_000_000,          // $1.9 trillion (FICA)
+      corporateTax: 450_000_000_000,          // $0.45 trillion
+      other: 450_000_000_000,                 // $0.45 trillion (incl. tariffs)
+      exciseTax: 105_000_000_000,             // $105 billion (part of other)
+      customsDuties: 250_000_000_000,         // $250 billion (part of other)
+      highwayTrustFund: 45_000_000_000        // $45 billion fuel & truck excise for the Highway Trust Fund (part of exciseTax)
+    },
+    spending: {
+      total: 7_400_000_000_000,               // $7.4 trillion
+      socialSecurity: 1_700_000_000_000,      // $1.7 trillion
+      medicareMedicaid: 1_700_000_000_000,    // $1.7 trillion
+      defense: 950_000_000_000,               // $0.95 trillion
+      veterans: 390_000_000_000,              // $390 billion (VA benefits & health care)
+      education: 250_000_000_000,             // $250 billion (education, training & social services)
+      transportation: 150_000_000_000,        // $150 billion (highways, transit & aviation)
+      otherDiscretionary: 480_000_000_000,    // $480 billion
+      otherMandatory: 680_000_000_000,        // $680 billion
+      netInterest: 1_100_000_000_000          // $1.1 trillion
+    },
+    deficit: 1_900_000_000_000,               // $1.9 trillion (~26% of spending)
+    debtHeldByPublic: 32_200_000_000_000      // $32.2 trillion at fiscal year end
+  }
 };
 
-// Funding source categories for the selector
+// Who the country's costs can be divided among, by year
+// Sources: Census Bureau population estimates and CPS households; IRS Filing Season Statistics
+// (individual returns); median filer income is the approximate median AGI. 2025-2026 are projections.
+const POPULATION_BY_YEAR = {
+  2023: { residents: 334_900_000, households: 131_400_000, taxFilers: 161_000_000, medianFilerIncome: 51_000 },
+  2024: { residents: 340_100_000, households: 132_200_000, taxFilers: 163_000_000, medianFilerIncome: 53_000 },
+  2025: { residents: 342_500_000, households: 133_000_000, taxFilers: 165_000_000, medianFilerIncome: 55_000 },
+  2026: { residents: 344_500_000, households: 133_800_000, taxFilers: 166_000_000, medianFilerIncome: 57_000 }
+};
+
+// Incomes for the "what this costs at other incomes" table
+const DISTRIBUTION_INCOMES = [30_000, 50_000, 75_000, 100_000, 150_000, 250_000, 500_000, 1_000_000];
+
+// Display names for the spending lines in FEDERAL_BUDGET_BY_YEAR
+const SPENDING_LINE_LABELS = {
+  socialSecurity: 'Social Security',
+  medicareMedicaid: 'Medicare & Medicaid',
+  defense: 'Defense & Military',
+  veterans: 'Veterans',
+  education: 'Education & Training',
+  transportation: 'Transportation',
+  otherDiscretionary: 'Other Discretionary Programs',
+  otherMandatory: 'Other Mandatory Programs (SNAP, etc.)',
+  netInterest: 'Interest on Debt'
+};
+
+// Main revenue pools in FEDERAL_BUDGET_BY_YEAR, which add up to the total.
+// Smaller pools listed under includes are part of a main pool and move with it.
+const REVENUE_POOLS = {
+  individualIncomeTax: { label: 'Individual Income Tax' },
+  payrollTax: { label: 'Payroll Tax (FICA)' },
+  corporateTax: { label: 'Corporate Income Tax' },
+  other: { label: 'Excise, Customs & Other', includes: ['exciseTax', 'customsDuties', 'highwayTrustFund'] }
+};
+
+// Federal revenue before the years covered above, for multi-year spending schedules
+// Source: OMB Historical Tables, Table 2.1 (rounded to the nearest billion)
+const HISTORICAL_REVENUE = {
+  1996: { total: 1_453_000_000_000, individualIncomeTax: 656_000_000_000, payrollTax: 509_000_000_000, corporateTax: 172_000_000_000 },
+  1997: { total: 1_579_000_000_000, individualIncomeTax: 737_000_000_000, payrollTax: 539_000_000_000, corporateTax: 182_000_000_000 },
+  1998: { total: 1_722_000_000_000, individualIncomeTax: 829_000_000_000, payrollTax: 572_000_000_000, corporateTax: 189_000_000_000 },
+  1999: { total: 1_827_000_000_000, individualIncomeTax: 879_000_000_000, payrollTax: 612_000_000_000, corporateTax: 185_000_000_000 },
+  2000: { total: 2_025_000_000_000, individualIncomeTax: 1_004_000_000_000, payrollTax: 653_000_000_000, corporateTax: 207_000_000_000 },
+  2001: { total: 1_991_000_000_000, individualIncomeTax: 994_000_000_000, payrollTax: 694_000_000_000, corporateTax: 151_000_000_000 },
+  2002: { total: 1_853_000_000_000, individualIncomeTax: 858_000_000_000, payrollTax: 701_000_000_000, corporateTax: 148_000_000_000 },
+  2003: { total: 1_783_000_000_000, individualIncomeTax: 794_000_000_000, payrollTax: 713_000_000_000, corporateTax: 132_000_000_000 },
+  2004: { total: 1_880_000_000_000, individualIncomeTax: 809_000_000_000, payrollTax: 733_000_000_000, corporateTax: 189_000_000_000 },
+  2005: { total: 2_153_000_000_000, individualIncomeTax: 927_000_000_000, payrollTax: 794_000_000_000, corporateTax: 278_000_000_000 },
+  2006: { total: 2_406_000_000_000, individualIncomeTax: 1_044_000_000_000, payrollTax: 838_000_000_000, corporateTax: 354_000_000_000 },
+  2007: { total: 2_568_000_000_000, individualIncomeTax: 1_163_000_000_000, payrollTax: 870_000_000_000, corporateTax: 370_000_000_000 },
+  2008: { total: 2_524_000_000_000, individualIncomeTax: 1_146_000_000_000, payrollTax: 900_000_000_000, corporateTax: 304_000_000_000 },
+  2009: { total: 2_105_000_000_000, individualIncomeTax: 915_000_000_000, payrollTax: 891_000_000_000, corporateTax: 138_000_000_000 },
+  2010: { total: 2_163_000_000_000, individualIncomeTax: 899_000_000_000, payrollTax: 865_000_000_000, corporateTax: 191_000_000_000 },
+  2011: { total: 2_303_000_000_000, individualIncomeTax: 1_091_000_000_000, payrollTax: 819_000_000_000, corporateTax: 181_000_000_000 },
+  2012: { total: 2_450_000_000_000, individualIncomeTax: 1_132_000_000_000, payrollTax: 845_000_000_000, corporateTax: 242_000_000_000 },
+  2013: { total: 2_775_000_000_000, individualIncomeTax: 1_316_000_000_000, payrollTax: 948_000_000_000, corporateTax: 274_000_000_000 },
+  2014: { total: 3_021_000_000_000, individualIncomeTax: 1_395_000_000_000, payrollTax: 1_024_000_000_000, corporateTax: 321_000_000_000 },
+  2015: { total: 3_250_000_000_000, individualIncomeTax: 1_541_000_000_000, payrollTax: 1_065_000_000_000, corporateTax: 344_000_000_000 },
+  2016: { total: 3_268_000_000_000, individualIncomeTax: 1_546_000_000_000, payrollTax: 1_115_000_000_000, corporateTax: 300_000_000_000 },
+  2017: { total: 3_316_000_000_000, individualIncomeTax: 1_587_000_000_000, payrollTax: 1_162_000_000_000, corporateTax: 297_000_000_000 },
+  2018: { total: 3_330_000_000_000, individualIncomeTax: 1_684_000_000_000, payrollTax: 1_171_000_000_000, corporateTax: 205_000_000_000 },
+  2019: { total: 3_463_000_000_000, individualIncomeTax: 1_718_000_000_000, payrollTax: 1_243_000_000_000, corporateTax: 230_000_000_000 },
+  2020: { total: 3_421_000_000_000, individualIncomeTax: 1_609_000_000_000, payrollTax: 1_310_000_000_000, corporateTax: 212_000_000_000 },
+  2021: { total: 4_047_000_000_000, individualIncomeTax: 2_044_000_000_000, payrollTax: 1_314_000_000_000, corporateTax: 372_000_000_000 },
+  2022: { total: 4_897_000_000_000, individualIncomeTax: 2_632_000_000_000, payrollTax: 1_484_000_000_000, corporateTax: 425_000_000_000 }
+};
+
+// Consumer Price Index (CPI-U), annual average, 1982-84 = 100
+// Source: Bureau of Labor Statistics, series CUUR0000SA0
+const CPI_U = {
+  1980: 82.4, 1981: 90.9, 1982: 96.5, 1983: 99.6, 1984: 103.9,
+  1985: 107.6, 1986: 109.6, 1987: 113.6, 1988: 118.3, 1989: 124.0,
+  1990: 130.7, 1991: 136.2, 1992: 140.3, 1993: 144.5, 1994: 148.2,
+  1995: 152.4, 1996: 156.9, 1997: 160.5, 1998: 163.0, 1999: 166.6,
+  2000: 172.2, 2001: 177.1, 2002: 179.9, 2003: 184.0, 2004: 188.9,
+  2005: 195.3, 2006: 201.6, 2007: 207.342, 2008: 215.303, 2009: 214.537,
+  2010: 218.056, 2011: 224.939, 2012: 229.594, 2013: 232.957, 2014: 236.736,
+  2015: 237.017, 2016: 240.007, 2017: 245.12, 2018: 251.107, 2019: 255.657,
+  2020: 258.811, 2021: 270.97, 2022: 292.655, 2023: 304.702, 2024: 313.689,
+  2025: 322.2,  // Preliminary
+  2026: 330.0   // Projection (CBO)
+};
+
+// Indirect tax incidence by household income, as a share of income.
+// Corporate tax falls mostly on shareholders (progressive); excise taxes and
+// customs duties are passed on in prices (regressive). Rates are calibrated to
+// baseYear revenue and scaled by each year's corporateTax, exciseTax and customsDuties.
+const INDIRECT_TAX_INCIDENCE = {
+  baseYear: 2024,
+  source: 'Approximated from CBO household income distribution and Tax Policy Center incidence estimates',
+  bands: [
+    { maxIncome: 25000,    corporate: 0.004, excise: 0.012, customs: 0.006 },
+    { maxIncome: 50000,    corporate: 0.006, excise: 0.009, customs: 0.005 },
+    { maxIncome: 75000,    corporate: 0.008, excise: 0.007, customs: 0.004 },
+    { maxIncome: 100000,   corporate: 0.009, excise: 0.006, customs: 0.0035 },
+    { maxIncome: 200000,   corporate: 0.011, excise: 0.005, customs: 0.003 },
+    { maxIncome: 500000,   corporate: 0.016, excise: 0.003, customs: 0.002 },
+    { maxIncome: 1000000,  corporate: 0.025, excise: 0.002, customs: 0.0015 },
+    { maxIncome: Infinity, corporate: 0.040, excise: 0.001, customs: 0.001 }
+  ]
+};
+
+// Default-year tables (for code that predates year selection)
+const STANDARD_DEDUCTIONS = STANDARD_DEDUCTIONS_BY_YEAR[DATA_YEAR];
+const TAX_BRACKETS = TAX_BRACKETS_BY_YEAR[DATA_YEAR];
+const FICA = FICA_BY_YEAR[DATA_YEAR];
+const FEDERAL_BUDGET = FEDERAL_BUDGET_BY_YEAR[DATA_YEAR];
+
+// Revenue sources spending can be funded from. revenueKey names the FEDERAL_BUDGET
+// revenue pool; borrowing has none, so nobody's current taxes pay for it.
+// Fuel excise and customs are paid indirectly and estimated with calculateIndirectTaxes.
+const TAX_SOURCES = {
+  income: { label: 'Federal Income Tax', shortLabel: 'Income Tax', revenueKey: 'individualIncomeTax' },
+  fica: { label: 'Payroll Tax (FICA)', shortLabel: 'FICA', revenueKey: 'payrollTax' },
+  fuelExcise: { label: 'Fuel Excise (Highway Trust Fund)', shortLabel: 'Fuel Excise', revenueKey: 'highwayTrustFund' },
+  customs: { label: 'Customs Duties', shortLabel: 'Customs', revenueKey: 'customsDuties' },
+  borrowing: { label: 'Borrowing', shortLabel: 'Borrowing', revenueKey: null }
+};
+
+// Funding source categories for the selector, in display order
+// budget pools are resolved per tax year from spendingLines; sources weights add up to 1
 const FUNDING_CATEGORIES = {
   defense: {
     name: 'Defense & Military',
-    examples: 'Pentagon, weapons systems, military bases, VA healthcare & benefits',
-    taxSource: 'income',
-    budgetPool: FEDERAL_BUDGET.spending.defense,
-    revenuePool: FEDERAL_BUDGET.revenue.individualIncomeTax
+    examples: 'Pentagon, weapons systems, military bases, military pay',
+    sources: [{ source: 'income', weight: 1 }],
+    spendingLines: ['defense']
+  },
+  veterans: {
+    name: 'Veterans',
+    examples: 'VA healthcare, disability compensation, GI Bill, veterans pensions',
+    sources: [{ source: 'income', weight: 1 }],
+    spendingLines: ['veterans']
+  },
+  education: {
+    name: 'Education & Training',
+    examples: 'Pell grants, Title I, special education, student loans, job training',
+    sources: [{ source: 'income', weight: 1 }],
+    spendingLines: ['education']
+  },
+  transportation: {
+    name: 'Transportation',
+    examples: 'Highways, transit, Amtrak, air traffic control, bridges',
+    // Fuel taxes cover about a third of transportation spending; general funds cover the rest
+    sources: [{ source: 'income', weight: 0.67 }, { source: 'fuelExcise', weight: 0.33 }],
+    spendingLines: ['transportation']
   },
   general: {
     name: 'General Government',
-    examples: 'SNAP, WIC, TANF, child care (CCAP/CCDBG), education grants, housing assistance, transportation, federal agencies, research',
-    taxSource: 'income',
-    budgetPool: FEDERAL_BUDGET.spending.otherDiscretionary + FEDERAL_BUDGET.spending.otherMandatory,
-    revenuePool: FEDERAL_BUDGET.revenue.individualIncomeTax
+    examples: 'SNAP, WIC, TANF, child care (CCAP/CCDBG), housing assistance, border security, federal agencies, research',
+    sources: [{ source: 'income', weight: 1 }],
+    spendingLines: ['otherDiscretionary', 'otherMandatory']
   },
   socialSecurity: {
     name: 'Social Security',
     examples: 'Retirement benefits, disability (SSDI), survivors benefits',
-    taxSource: 'fica',
-    budgetPool: FEDERAL_BUDGET.spending.socialSecurity,
-    revenuePool: FEDERAL_BUDGET.revenue.payrollTax
+    sources: [{ source: 'fica', weight: 1 }],
+    spendingLines: ['socialSecurity']
   },
   medicare: {
     name: 'Medicare & Medicaid',
     examples: 'Medicare, Medicaid, CHIP, ACA marketplace subsidies',
-    taxSource: 'mixed',
-    budgetPool: FEDERAL_BUDGET.spending.medicareMedicaid,
-    // Mixed: ~60% from general funds, ~40% from payroll
-    incomeSharePercent: 0.60,
-    ficaSharePercent: 0.40,
-    revenuePool: FEDERAL_BUDGET.revenue.individualIncomeTax * 0.6 + FEDERAL_BUDGET.revenue.payrollTax * 0.4
+    // ~60% from general funds, ~40% from payroll
+    sources: [{ source: 'income', weight: 0.60 }, { source: 'fica', weight: 0.40 }],
+    spendingLines: ['medicareMedicaid']
   },
   interest: {
     name: 'Interest on Debt',
     examples: 'Treasury bond payments, debt service',
-    taxSource: 'income',
-    budgetPool: FEDERAL_BUDGET.spending.netInterest,
-    revenuePool: FEDERAL_BUDGET.revenue.individualIncomeTax
+    sources: [{ source: 'income', weight: 1 }],
+    spendingLines: ['netInterest']
   }
 };
 
@@ -125,6 +882,9 @@ const COMPARISONS = [
   { max: Infinity, text: 'About {days} days of your annual tax contribution' }
 ];
 
+// Spending items may declare dollarYear, the year their value is stated in, so it
+// can be adjusted for inflation (CPI_U). Items with a schedule use each schedule year.
+
 // Permanent Spending Items - These always appear on the list
 // Classic examples of major federal spending projects
 const PERMANENT_SPENDING = {
@@ -136,7 +896,15 @@ const PERMANENT_SPENDING = {
     lastVerified: DATA_LAST_UPDATED,
     category: 'defense',
     notes: 'Total acquisition cost for lead ship CVN-78',
-    multiYear: true                  // Spent over construction period, not in one year
+    multiYear: true,                 // Spent over construction period, not in one year
+    // Approximate procurement funding by fiscal year (advance procurement, then full funding and cost growth)
+    schedule: {
+      2001: 100_000_000, 2002: 100_000_000, 2003: 400_000_000, 2004: 600_000_000,
+      2005: 600_000_000, 2006: 600_000_000, 2007: 800_000_000, 2008: 2_700_000_000,
+      2009: 2_700_000_000, 2010: 500_000_000, 2011: 500_000_000, 2012: 500_000_000,
+      2013: 500_000_000, 2014: 600_000_000, 2015: 600_000_000, 2016: 700_000_000,
+      2017: 800_000_000
+    }
   },
   jamesWebbTelescope: {
     label: 'James Webb Space Telescope',
@@ -146,7 +914,16 @@ const PERMANENT_SPENDING = {
     lastVerified: DATA_LAST_UPDATED,
     category: 'general',
     notes: 'Total lifecycle development cost',
-    multiYear: true                  // Spent over development period, not in one year
+    multiYear: true,                 // Spent over development period, not in one year
+    // Approximate development funding by fiscal year through launch
+    schedule: {
+      1999: 100_000_000, 2000: 100_000_000, 2001: 100_000_000, 2002: 200_000_000,
+      2003: 200_000_000, 2004: 300_000_000, 2005: 300_000_000, 2006: 400_000_000,
+      2007: 500_000_000, 2008: 500_000_000, 2009: 500_000_000, 2010: 500_000_000,
+      2011: 500_000_000, 2012: 500_000_000, 2013: 700_000_000, 2014: 700_000_000,
+      2015: 700_000_000, 2016: 700_000_000, 2017: 700_000_000, 2018: 500_000_000,
+      2019: 300_000_000, 2020: 400_000_000, 2021: 400_000_000, 2022: 200_000_000
+    }
   }
 };
 
@@ -157,6 +934,7 @@ const TRENDING_SPENDING = {
   trending1: {
     label: 'F-35 Fighter Program - Lifetime Cost',
     value: 2_000_000_000_000,        // $2 trillion (projected lifetime acquisition + sustainment cost)
+    dollarYear: 2026,
     source: 'U.S. Government Accountability Office (GAO-26-108113)',
     sourceUrl: 'https://www.gao.gov/blog/f-35-will-now-exceed-2-trillion-military-plans-fly-it-less',
     lastVerified: '2026-06-22',
@@ -166,6 +944,7 @@ const TRENDING_SPENDING = {
   trending2: {
     label: 'Trump FY2027 Defense Budget Request',
     value: 1_500_000_000_000,        // $1.5 trillion (proposed FY2027 defense budget)
+    dollarYear: 2026,                // Requested in 2026; CPI_U has no FY2027 figure yet
     source: 'NPR / Quincy Institute / Breaking Defense',
     sourceUrl: 'https://www.npr.org/2026/04/03/nx-s1-5772701/trump-budget-defense-spending',
     lastVerified: '2026-06-22',
@@ -175,6 +954,7 @@ const TRENDING_SPENDING = {
   trending3: {
     label: 'Pentagon Year-End Spending Binge',
     value: 90_000_000_000,           // ~$90 billion (DoD spending in final month of FY2025)
+    dollarYear: 2025,
     source: 'The National Interest / CNN',
     sourceUrl: 'https://nationalinterest.org/blog/buzz/pentagon-went-on-90-billion-spending-bender-lobster-pianos-ps-031226',
     lastVerified: '2026-06-22',
@@ -184,6 +964,7 @@ const TRENDING_SPENDING = {
   trending4: {
     label: 'Secure America Act - ICE & Border Funding',
     value: 69_500_000_000,           // $69.5 billion (ICE + CBP funding through 2029)
+    dollarYear: 2026,
     source: 'TIME / American Immigration Council',
     sourceUrl: 'https://time.com/article/2026/06/10/house-passes-secure-america-act-senate-reconciliation-bill-funding-immigration-enforcement-trump/',
     lastVerified: '2026-06-22',
@@ -193,6 +974,7 @@ const TRENDING_SPENDING = {
   trending5: {
     label: 'Federal Improper Payments (FY2025)',
     value: 186_000_000_000,          // $186 billion (estimated improper payments FY2025)
+    dollarYear: 2025,
     source: 'U.S. Government Accountability Office (GAO-26-108694)',
     sourceUrl: 'https://www.gao.gov/products/gao-26-108694',
     lastVerified: '2026-06-22',
@@ -202,20 +984,34 @@ const TRENDING_SPENDING = {
   trending6: {
     label: 'ACA Improper Enrollment Subsidies',
     value: 25_000_000_000,           // up to $25 billion (improper ACA exchange subsidy payments)
+    dollarYear: 2026,
     source: 'Paragon Health Institute / Citizens Against Government Waste',
     sourceUrl: 'https://www.cagw.org/this-week-in-waste-june-19-2026/',
     lastVerified: '2026-06-22',
     category: 'medicare',
-    notes: 'June 2026 Paragon report: 6.2M (27%) of 2026 ACA exchange sign-ups were improper, costing taxpayers up to $25B in subsidy payments; figure is disputed and politically charged'
+    notes: 'June 2026 Paragon report: 6.2M (27%) of 2026 ACA exchange sign-ups were improper, costing taxpayers up to $25B in subsidy payments; CMS\'s narrower duplicate-enrollment review put it near $14B a year; figure is disputed and politically charged',
+    // Disputed figure: CMS counted only duplicate enrollment; Paragon's upper bound adds
+    // enrollees with no claims. No published central estimate, so none is shown.
+    estimates: {
+      low: { value: 14_000_000_000, source: 'CMS review of duplicate Medicaid/exchange enrollment (2.8M people)' },
+      high: { value: 25_000_000_000, source: 'Paragon Health Institute (upper bound)' }
+    }
   },
   trending7: {
     label: 'DOGE Claimed Savings (Disputed)',
     value: 170_000_000_000,          // $170 billion (DOGE claimed total savings)
+    dollarYear: 2025,
     source: 'DOGE.gov / NPR / CBS News',
     sourceUrl: 'https://doge.gov/savings',
     lastVerified: '2026-06-22',
     category: 'general',
     notes: 'DOGE claims ~$170B saved but only $70.9B is itemized; NPR estimates real savings near $2B and AEI puts contract savings near $10B; "wall of receipts" riddled with documented errors',
+    // Disputed figure: low / central / high estimates, each with its source
+    estimates: {
+      low: { value: 2_000_000_000, source: 'NPR analysis of verifiable savings' },
+      central: { value: 70_900_000_000, source: 'DOGE.gov itemized receipts' },
+      high: { value: 170_000_000_000, source: 'DOGE.gov claimed total' }
+    },
     isSavings: true
   }
 };
@@ -157,6 +157,337 @@ describe('calculateIncomeTax', () => {
     });
   });
 
+  describe('head of household filer', () => {
+    it('returns 0 for income at or below standard deduction', () => {
+      expect(context.calculateIncomeTax(21900, 'headOfHousehold')).toBe(0);
+    });
+
+    it('calculates tax correctly spanning 10% and 12% brackets', () => {
+      // $60,000 gross - $21,900 deduction = $38,100 taxable
+      // First $16,550 at 10% = $1,655
+      // Next $21,550 at 12% = $2,586
+      // Total = $4,241
+      const tax = context.calculateIncomeTax(60000, 'headOfHousehold');
+      expect(tax).toBeCloseTo(4241, 2);
+    });
+
+    it('calculates tax between single and married for same income', () => {
+      const hohTax = context.calculateIncomeTax(100000, 'headOfHousehold');
+      expect(hohTax).toBeLessThan(context.calculateIncomeTax(100000, 'single'));
+      expect(hohTax).toBeGreaterThan(context.calculateIncomeTax(100000, 'married'));
+    });
+  });
+
+  describe('married filing separately', () => {
+    it('matches single filer below the 37% threshold', () => {
+      // Same deduction and brackets as single up to $365,600
+      expect(context.calculateIncomeTax(100000, 'marriedSeparately'))
+        .toBeCloseTo(context.calculateIncomeTax(100000, 'single'), 2);
+    });
+
+    it('reaches the 37% bracket at half the joint threshold', () => {
+      // $500,000 gross - $14,600 deduction = $485,400 taxable
+      // $11,600 at 10% = $1,160
+      // $35,550 at 12% = $4,266
+      // $53,375 at 22% = $11,742.50
+      // $91,425 at 24% = $21,942
+      // $51,775 at 32% = $16,568
+      // $121,875 ($365,600 - $243,725) at 35% = $42,656.25
+      // $119,800 ($485,400 - $365,600) at 37% = $44,326
+      // Total = $142,660.75
+      const tax = context.calculateIncomeTax(500000, 'marriedSeparately');
+      expect(tax).toBeCloseTo(142660.75, 2);
+      expect(tax).toBeGreaterThan(context.calculateIncomeTax(500000, 'single'));
+    });
+  });
+
+  describe('tax year selection', () => {
+    it('defaults to the DATA_YEAR (2024) brackets', () => {
+      expect(context.calculateIncomeTax(50000, 'single', 2024))
+        .toBe(context.calculateIncomeTax(50000, 'single'));
+    });
+
+    it('uses 2023 brackets and standard deduction', () => {
+      // $50,000 gross - $13,850 deduction = $36,150 taxable
+      // $11,000 at 10% = $1,100
+      // $25,150 at 12% = $3,018
+      // Total = $4,118
+      expect(context.calculateIncomeTax(50000, 'single', 2023)).toBeCloseTo(4118, 2);
+    });
+
+    it('uses 2026 brackets and standard deduction', () => {
+      // $50,000 gross - $16,100 deduction = $33,900 taxable
+      // $12,400 at 10% = $1,240
+      // $21,500 at 12% = $2,580
+      // Total = $3,820
+      expect(context.calculateIncomeTax(50000, 'single', 2026)).toBeCloseTo(3820, 2);
+    });
+
+    it('uses 2025 married brackets', () => {
+      // $100,000 gross - $31,500 deduction = $68,500 taxable
+      // $23,850 at 10% = $2,385
+      // $44,650 at 12% = $5,358
+      // Total = $7,743
+      expect(context.calculateIncomeTax(100000, 'married', 2025)).toBeCloseTo(7743, 2);
+    });
+
+    it('falls back to the default year for unknown years', () => {
+      expect(context.calculateIncomeTax(50000, 'single', 1999))
+        .toBe(context.calculateIncomeTax(50000, 'single', 2024));
+    });
+  });
+
+  describe('adjustments and itemized deductions', () => {
+    it('subtracts 401(k) deferrals before the deduction', () => {
+      // $100,000 - $10,000 401(k) = $90,000 AGI - $14,600 deduction = $75,400 taxable
+      // $11,600 at 10% = $1,160
+      // $35,550 at 12% = $4,266
+      // $28,250 at 22% = $6,215
+      // Total = $11,641
+      const tax = context.calculateIncomeTax(100000, 'single', 2024, { retirement401k: 10000 });
+      expect(tax).toBeCloseTo(11641, 2);
+    });
+
+    it('treats HSA and IRA contributions as above-the-line adjustments', () => {
+      const combined = context.calculateIncomeTax(100000, 'single', 2024, { hsa: 4000, traditionalIra: 6000 });
+      const equivalent = context.calculateIncomeTax(100000, 'single', 2024, { retirement401k: 10000 });
+      expect(combined).toBeCloseTo(equivalent, 2);
+    });
+
+    it('uses itemized deductions when larger than the standard deduction', () => {
+      // $100,000 - $20,000 itemized = $80,000 taxable
+      // $1,160 + $4,266 + $32,850 at 22% ($7,227) = $12,653
+      const details = context.calculateIncomeTaxDetails(100000, 'single', 2024, { itemizedDeductions: 20000 });
+      expect(details.deductionType).toBe('itemized');
+      expect(details.deduction).toBe(20000);
+      expect(details.tax).toBeCloseTo(12653, 2);
+    });
+
+    it('keeps the standard deduction when itemized deductions are smaller', () => {
+      const details = context.calculateIncomeTaxDetails(100000, 'single', 2024, { itemizedDeductions: 10000 });
+      expect(details.deductionType).toBe('standard');
+      expect(details.deduction).toBe(14600);
+      expect(details.tax).toBe(context.calculateIncomeTax(100000, 'single'));
+    });
+
+    it('reports adjusted gross income and taxable income', () => {
+      const details = context.calculateIncomeTaxDetails(100000, 'single', 2024, {
+        retirement401k: 20000,
+        traditionalIra: 5000
+      });
+      expect(details.adjustedGrossIncome).toBe(75000);
+      expect(details.taxableIncome).toBe(60400);
+    });
+
+    it('never produces negative AGI', () => {
+      const details = context.calculateIncomeTaxDetails(10000, 'single', 2024, { retirement401k: 20000 });
+      expect(details.adjustedGrossIncome).toBe(0);
+      expect(details.tax).toBe(0);
+    });
+  });
+
+  describe('self-employment income', () => {
+    it('taxes SE profit after deducting half of SE tax', () => {
+      // $100,000 profit - $7,064.78 half SE tax = $92,935.23 AGI
+      // $92,935.23 - $14,600 deduction = $78,335.23 taxable
+      // $1,160 + $4,266 + $31,185.23 at 22% ($6,860.75) = $12,286.75
+      const details = context.calculateIncomeTaxDetails(0, 'single', 2024, { selfEmploymentIncome: 100000 });
+      expect(details.selfEmploymentTaxDeduction).toBeCloseTo(7064.775, 2);
+      expect(details.adjustedGrossIncome).toBeCloseTo(92935.225, 2);
+      expect(details.tax).toBeCloseTo(12286.7495, 2);
+    });
+
+    it('deducts half of the SE tax counted in payroll tax on a two-earner return', () => {
+      // Spouse wages do not use up the SE earner's Social Security wage base
+      const options = { selfEmploymentIncome: 50000, spouseWages: 150000 };
+      const details = context.calculateIncomeTaxDetails(250000, 'married', 2024, options);
+      const fica = context.calculateFICA(250000, 'married', 2024, options);
+      const seTax = context.calculateSelfEmploymentTax(50000, 100000, 'married', 2024, 250000);
+      expect(fica.selfEmploymentTax).toBeCloseTo(seTax.total, 2);
+      expect(details.selfEmploymentTaxDeduction).toBeCloseTo(seTax.deduction, 2);
+      expect(details.selfEmploymentTaxDeduction).toBeGreaterThan(3000);
+    });
+
+    it('adds SE profit to wages', () => {
+      const wagesOnly = context.calculateIncomeTax(100000, 'single', 2024);
+      const withSE = context.calculateIncomeTax(100000, 'single', 2024, { selfEmploymentIncome: 20000 });
+      expect(withSE).toBeGreaterThan(wagesOnly);
+    });
+  });
+
+  describe('capital gains and qualified dividends', () => {
+    it('taxes gains at 0% when taxable income stays in the 0% bracket', () => {
+      // $50,000 gains - $14,600 deduction = $35,400, all under $47,025
+      const details = context.calculateIncomeTaxDetails(0, 'single', 2024, { longTermCapitalGains: 50000 });
+      expect(details.capitalGainsTax).toBe(0);
+      expect(details.tax).toBe(0);
+    });
+
+    it('stacks gains on top of ordinary income', () => {
+      // $100,000 wages + $50,000 gains: $135,400 taxable, $85,400 ordinary
+      // Ordinary tax on $85,400 = $13,841
+      // Gains from $85,400 to $135,400 fall in the 15% bracket: $7,500
+      const details = context.calculateIncomeTaxDetails(100000, 'single', 2024, { longTermCapitalGains: 50000 });
+      expect(details.ordinaryTax).toBeCloseTo(13841, 2);
+      expect(details.capitalGainsTax).toBeCloseTo(7500, 2);
+      expect(details.tax).toBeCloseTo(21341, 2);
+    });
+
+    it('splits gains that straddle the 0% and 15% brackets', () => {
+      // $50,000 wages + $20,000 dividends: $55,400 taxable, $35,400 ordinary
+      // $11,625 at 0% (to $47,025) + $8,375 at 15% = $1,256.25
+      const details = context.calculateIncomeTaxDetails(50000, 'single', 2024, { qualifiedDividends: 20000 });
+      expect(details.capitalGainsTax).toBeCloseTo(1256.25, 2);
+    });
+
+    it('applies the 20% rate at high incomes', () => {
+      const details = context.calculateIncomeTaxDetails(600000, 'single', 2024, { longTermCapitalGains: 100000 });
+      expect(details.capitalGainsTax).toBeCloseTo(20000, 2);
+    });
+
+    it('uses the married 0% bracket', () => {
+      // $94,050 0% threshold for married filers in 2024
+      const details = context.calculateIncomeTaxDetails(60000, 'married', 2024, { longTermCapitalGains: 50000 });
+      // $80,800 taxable, $30,800 ordinary; gains to $80,800 all under $94,050
+      expect(details.capitalGainsTax).toBe(0);
+    });
+  });
+
+  describe('Net Investment Income Tax', () => {
+    it('applies 3.8% to investment income above the threshold', () => {
+      // $250,000 wages + $100,000 gains: MAGI $350,000 is $150,000 over $200,000
+      // NIIT on the lesser ($100,000) = $3,800
+      const details = context.calculateIncomeTaxDetails(250000, 'single', 2024, { longTermCapitalGains: 100000 });
+      expect(details.netInvestmentIncomeTax).toBeCloseTo(3800, 2);
+    });
+
+    it('limits NIIT to MAGI over the threshold', () => {
+      // $180,000 wages + $50,000 gains: $30,000 over threshold -> $1,140
+      const details = context.calculateIncomeTaxDetails(180000, 'single', 2024, { longTermCapitalGains: 50000 });
+      expect(details.netInvestmentIncomeTax).toBeCloseTo(1140, 2);
+    });
+
+    it('uses the $250k married threshold', () => {
+      const details = context.calculateIncomeTaxDetails(180000, 'married', 2024, { longTermCapitalGains: 50000 });
+      expect(details.netInvestmentIncomeTax).toBe(0);
+    });
+
+    it('is included in the total and not offset by credits', () => {
+      const details = context.calculateIncomeTaxDetails(250000, 'single', 2024, { longTermCapitalGains: 100000 });
+      expect(details.tax).toBeCloseTo(details.taxBeforeCredits - details.totalCredits + 3800, 2);
+    });
+  });
+
+  describe('Alternative Minimum Tax', () => {
+    it('does not apply to typical wage earners', () => {
+      const details = context.calculateIncomeTaxDetails(100000, 'single', 2024);
+      expect(details.alternativeMinimumTax).toBe(0);
+      expect(details.amtBinding).toBe(false);
+      expect(details.tax).toBeCloseTo(13841, 2);
+    });
+
+    it('applies when an ISO exercise adds a large preference item', () => {
+      // Regular: $285,400 taxable -> $70,264.75
+      // AMTI $500,000 - $85,700 exemption = $414,300
+      // 26% x $232,600 + 28% x $181,700 = $111,352 tentative minimum tax
+      const details = context.calculateIncomeTaxDetails(300000, 'single', 2024, { isoBargainElement: 200000 });
+      expect(details.regularTax).toBeCloseTo(70264.75, 2);
+      expect(details.tentativeMinimumTax).toBeCloseTo(111352, 2);
+      expect(details.alternativeMinimumTax).toBeCloseTo(41087.25, 2);
+      expect(details.amtBinding).toBe(true);
+      expect(details.tax).toBeCloseTo(111352, 2);
+    });
+
+    it('phases out the exemption at 25 cents per dollar', () => {
+      // AMTI $800,000 is $190,650 over $609,350 -> $47,662.50 reduction
+      const details = context.calculateIncomeTaxDetails(800000, 'single', 2024);
+      expect(details.amtExemption).toBeCloseTo(38037.5, 2);
+    });
+
+    it('adds back SALT but not other itemized deductions', () => {
+      const details = context.calculateIncomeTaxDetails(200000, 'single', 2024, {
+        itemizedDeductions: 40000,
+        saltDeduction: 10000
+      });
+      expect(details.amtIncome).toBe(170000);
+    });
+
+    it('uses the married exemption', () => {
+      const details = context.calculateIncomeTaxDetails(300000, 'married', 2024);
+      expect(details.amtExemption).toBe(133300);
+      expect(details.alternativeMinimumTax).toBe(0);
+    });
+  });
+
+  describe('tax credits', () => {
+    it('reduces tax by the Child Tax Credit', () => {
+      // $100,000 married: $8,032 before credits - 2 x $2,000 CTC = $4,032
+      const tax = context.calculateIncomeTax(100000, 'married', 2024, { dependents: 2 });
+      expect(tax).toBeCloseTo(4032, 2);
+    });
+
+    it('refunds the unused Child Tax Credit and adds the EITC', () => {
+      // $40,000 head of household, 2 children
+      // $40,000 - $21,900 deduction = $18,100 taxable
+      // $16,550 at 10% + $1,550 at 12% = $1,841 before credits
+      // CTC $4,000: $1,841 offsets tax, $2,159 refundable (under $3,400 cap and 15% of earnings)
+      // EITC: $6,960 max - ($40,000 - $22,720) x 21.06% = $3,320.83
+      const details = context.calculateIncomeTaxDetails(40000, 'headOfHousehold', 2024, { dependents: 2 });
+      expect(details.taxBeforeCredits).toBeCloseTo(1841, 2);
+      expect(details.childTaxCredit).toBeCloseTo(1841, 2);
+      expect(details.additionalChildTaxCredit).toBeCloseTo(2159, 2);
+      expect(details.earnedIncomeCredit).toBeCloseTo(3320.83, 2);
+      expect(details.tax).toBeCloseTo(-5479.83, 2);
+    });
+
+    it('caps the refundable Child Tax Credit per child', () => {
+      // No tax before credits, so the refundable portion is capped at $1,700
+      const details = context.calculateIncomeTaxDetails(20000, 'headOfHousehold', 2024, { dependents: 1 });
+      expect(details.taxBeforeCredits).toBe(0);
+      expect(details.additionalChildTaxCredit).toBeCloseTo(1700, 2);
+    });
+
+    it('phases out the Child Tax Credit above the income threshold', () => {
+      // $210,500 single: $10,500 over $200,000 -> 11 x $50 = $550 reduction
+      const details = context.calculateIncomeTaxDetails(210500, 'single', 2024, { dependents: 1 });
+      expect(details.childTaxCredit).toBeCloseTo(1450, 2);
+
+      const phasedOut = context.calculateIncomeTaxDetails(250000, 'single', 2024, { dependents: 1 });
+      expect(phasedOut.childTaxCredit).toBe(0);
+    });
+
+    it('uses the larger 2025 Child Tax Credit', () => {
+      const details = context.calculateIncomeTaxDetails(150000, 'married', 2025, { dependents: 1 });
+      expect(details.childTaxCredit).toBeCloseTo(2200, 2);
+    });
+
+    it('applies the childless EITC only when claimed', () => {
+      // $12,000 single: no tax; EITC $632 - ($12,000 - $10,330) x 7.65% = $504.25
+      expect(context.calculateIncomeTax(12000, 'single', 2024)).toBe(0);
+      const tax = context.calculateIncomeTax(12000, 'single', 2024, { claimChildlessEitc: true });
+      expect(tax).toBeCloseTo(-504.25, 2);
+    });
+
+    it('reaches the maximum EITC at the earned income amount', () => {
+      // 2024 childless: $8,260 x 7.65% = $631.89, rounded to the $632 maximum
+      expect(context.calculateEITC(0, 8260, 8260, 'single', 2024)).toBe(632);
+      expect(context.calculateEITC(0, 8000, 8000, 'single', 2024)).toBeCloseTo(612, 2);
+    });
+
+    it('denies the EITC above the investment income limit', () => {
+      const details = context.calculateIncomeTaxDetails(30000, 'headOfHousehold', 2024, {
+        dependents: 2,
+        qualifiedDividends: 12000
+      });
+      expect(details.earnedIncomeCredit).toBe(0);
+    });
+
+    it('does not allow the EITC for married filing separately', () => {
+      const details = context.calculateIncomeTaxDetails(30000, 'marriedSeparately', 2024, { dependents: 2 });
+      expect(details.earnedIncomeCredit).toBe(0);
+    });
+  });
+
   describe('edge cases', () => {
     it('handles negative income gracefully', () => {
       expect(context.calculateIncomeTax(-10000, 'single')).toBe(0);
@@ -224,6 +555,19 @@ describe('calculateFICA', () => {
       expect(result.medicare).toBeCloseTo(4800, 2);
     });
 
+    it('applies $125k threshold for married filing separately', () => {
+      const result = context.calculateFICA(150000, 'marriedSeparately');
+      // Base: $150,000 * 1.45% = $2,175
+      // Additional: ($150,000 - $125,000) * 0.9% = $225
+      // Total: $2,400
+      expect(result.medicare).toBeCloseTo(2400, 2);
+    });
+
+    it('applies $200k threshold for head of household', () => {
+      const result = context.calculateFICA(250000, 'headOfHousehold');
+      expect(result.medicare).toBeCloseTo(4075, 2);
+    });
+
     it('no additional tax below threshold', () => {
       const resultSingle = context.calculateFICA(199999, 'single');
       const resultMarried = context.calculateFICA(249999, 'married');
@@ -234,6 +578,110 @@ describe('calculateFICA', () => {
     });
   });
 
+  describe('pre-tax contributions', () => {
+    it('keeps 401(k) deferrals in FICA wages', () => {
+      const result = context.calculateFICA(100000, 'single', 2024, { retirement401k: 20000 });
+      expect(result.total).toBeCloseTo(7650, 2);
+    });
+
+    it('excludes payroll HSA contributions from FICA wages', () => {
+      const result = context.calculateFICA(100000, 'single', 2024, { hsa: 4000 });
+      expect(result.total).toBeCloseTo(96000 * 0.0765, 2);
+    });
+
+    it('ignores IRA contributions and itemized deductions', () => {
+      const result = context.calculateFICA(100000, 'single', 2024, { traditionalIra: 7000, itemizedDeductions: 30000 });
+      expect(result.total).toBeCloseTo(7650, 2);
+    });
+  });
+
+  describe('two-earner married couples', () => {
+    it('applies a separate wage base to each spouse', () => {
+      // $300,000 split evenly: each spouse's $150,000 is under the $168,600 base
+      const result = context.calculateFICA(300000, 'married', 2024, { spouseWages: 150000 });
+      expect(result.socialSecurity).toBeCloseTo(300000 * 0.062, 2);
+    });
+
+    it('caps each spouse at the wage base', () => {
+      const result = context.calculateFICA(400000, 'married', 2024, { spouseWages: 200000 });
+      expect(result.socialSecurity).toBeCloseTo(2 * 168600 * 0.062, 2);
+    });
+
+    it('applies Additional Medicare to combined wages over $250,000', () => {
+      const result = context.calculateFICA(300000, 'married', 2024, { spouseWages: 150000 });
+      expect(result.medicare).toBeCloseTo(300000 * 0.0145 + 50000 * 0.009, 2);
+    });
+
+    it('ignores spouse wages for other filing statuses', () => {
+      const result = context.calculateFICA(300000, 'single', 2024, { spouseWages: 150000 });
+      expect(result.socialSecurity).toBeCloseTo(168600 * 0.062, 2);
+    });
+
+    it('matches the single-earner result when the spouse has no wages', () => {
+      const result = context.calculateFICA(300000, 'married', 2024, { spouseWages: 0 });
+      expect(result.total).toBeCloseTo(context.calculateFICA(300000, 'married', 2024).total, 2);
+    });
+  });
+
+  describe('employer share', () => {
+    it('doubles the base FICA rates when included', () => {
+      const result = context.calculateFICA(100000, 'single', 2024, { includeEmployerShare: true });
+      expect(result.employerShare).toBeCloseTo(7650, 2);
+      expect(result.total).toBeCloseTo(15300, 2);
+      expect(result.total).toBeCloseTo(result.socialSecurity + result.medicare, 2);
+    });
+
+    it('is zero by default', () => {
+      const result = context.calculateFICA(100000, 'single', 2024);
+      expect(result.employerShare).toBe(0);
+    });
+
+    it('does not match Additional Medicare Tax', () => {
+      // Employer: $168,600 x 6.2% + $300,000 x 1.45%
+      const result = context.calculateFICA(300000, 'single', 2024, { includeEmployerShare: true });
+      expect(result.employerShare).toBeCloseTo(10453.2 + 4350, 2);
+    });
+
+    it('adds nothing on self-employment income, which already pays both halves', () => {
+      const without = context.calculateFICA(0, 'single', 2024, { selfEmploymentIncome: 100000 });
+      const withEmployer = context.calculateFICA(0, 'single', 2024, { selfEmploymentIncome: 100000, includeEmployerShare: true });
+      expect(withEmployer.total).toBeCloseTo(without.total, 2);
+    });
+  });
+
+  describe('self-employment income', () => {
+    it('adds SE tax to the total for freelancers', () => {
+      const result = context.calculateFICA(0, 'single', 2024, { selfEmploymentIncome: 100000 });
+      expect(result.selfEmploymentTax).toBeCloseTo(14129.55, 2);
+      expect(result.total).toBeCloseTo(14129.55, 2);
+    });
+
+    it('combines W-2 FICA and SE tax', () => {
+      const wagesOnly = context.calculateFICA(150000, 'single', 2024);
+      const result = context.calculateFICA(150000, 'single', 2024, { selfEmploymentIncome: 50000 });
+      expect(result.total).toBeCloseTo(wagesOnly.total + 18600 * 0.124 + 46175 * 0.029, 2);
+      expect(result.total).toBeCloseTo(result.socialSecurity + result.medicare, 2);
+    });
+  });
+
+  describe('tax year selection', () => {
+    it('caps Social Security at the 2023 wage base ($160,200)', () => {
+      const result = context.calculateFICA(200000, 'single', 2023);
+      expect(result.socialSecurity).toBeCloseTo(9932.40, 2); // $160,200 * 6.2%
+    });
+
+    it('caps Social Security at the 2026 wage base ($184,500)', () => {
+      const result = context.calculateFICA(200000, 'single', 2026);
+      expect(result.socialSecurity).toBeCloseTo(11439, 2); // $184,500 * 6.2%
+    });
+
+    it('applies the same Medicare rates in every year', () => {
+      const result2023 = context.calculateFICA(300000, 'single', 2023);
+      const result2026 = context.calculateFICA(300000, 'single', 2026);
+      expect(result2023.medicare).toBeCloseTo(result2026.medicare, 2);
+    });
+  });
+
   describe('total FICA', () => {
     it('returns correct total combining SS and Medicare', () => {
       const result = context.calculateFICA(100000, 'single');
@@ -274,10 +722,106 @@ describe('calculateFICA', () => {
   });
 });
 
+// ============================================================================
+// calculateSelfEmploymentTax() Tests
+// ============================================================================
+
+describe('calculateSelfEmploymentTax', () => {
+  it('applies 15.3% to 92.35% of net profit', () => {
+    // $100,000 x 92.35% = $92,350 net earnings
+    // Social Security: $92,350 x 12.4% = $11,451.40
+    // Medicare: $92,350 x 2.9% = $2,678.15
+    const result = context.calculateSelfEmploymentTax(100000, 0, 'single', 2024);
+    expect(result.netEarnings).toBeCloseTo(92350, 2);
+    expect(result.socialSecurity).toBeCloseTo(11451.40, 2);
+    expect(result.medicare).toBeCloseTo(2678.15, 2);
+    expect(result.total).toBeCloseTo(14129.55, 2);
+  });
+
+  it('makes half of SE tax deductible', () => {
+    const result = context.calculateSelfEmploymentTax(100000, 0, 'single', 2024);
+    expect(result.deduction).toBeCloseTo(7064.775, 2);
+  });
+
+  it('shares the Social Security wage base with W-2 wages', () => {
+    // $150,000 wages leave $18,600 of the $168,600 wage base
+    const result = context.calculateSelfEmploymentTax(50000, 150000, 'single', 2024);
+    expect(result.socialSecurity).toBeCloseTo(18600 * 0.124, 2);
+    expect(result.medicare).toBeCloseTo(46175 * 0.029, 2);
+  });
+
+  it('owes no SE Social Security tax when wages exceed the wage base', () => {
+    const result = context.calculateSelfEmploymentTax(50000, 200000, 'single', 2024);
+    expect(result.socialSecurity).toBe(0);
+  });
+
+  it('applies Additional Medicare above the threshold reduced by wages', () => {
+    // $300,000 profit -> $277,050 net earnings; ($277,050 - $200,000) x 0.9% = $693.45
+    expect(context.calculateSelfEmploymentTax(300000, 0, 'single', 2024).additionalMedicare)
+      .toBeCloseTo(693.45, 2);
+    // $150,000 wages leave $50,000 of threshold: ($92,350 - $50,000) x 0.9% = $381.15
+    expect(context.calculateSelfEmploymentTax(100000, 150000, 'single', 2024).additionalMedicare)
+      .toBeCloseTo(381.15, 2);
+  });
+
+  it('returns zero below $400 of net earnings', () => {
+    expect(context.calculateSelfEmploymentTax(400, 0, 'single', 2024).total).toBe(0);
+  });
+});
+
 // ============================================================================
 // calculateShare() Tests
 // ============================================================================
 
+describe('calculateMedicareWagesFromWithholding', () => {
+  it('divides by the base rate below the withholding threshold', () => {
+    expect(context.calculateMedicareWagesFromWithholding(1450, 2024)).toBeCloseTo(100000, 2);
+  });
+
+  it('backs out the 0.9% withheld above $200,000', () => {
+    // $300,000 wages: box 6 = $4,350 + $900 Additional Medicare
+    expect(context.calculateMedicareWagesFromWithholding(5250, 2024)).toBeCloseTo(300000, 2);
+  });
+});
+
+describe('calculateEmployerFICAMatch', () => {
+  it('matches W-2 withholding below the Additional Medicare threshold', () => {
+    // $100,000 wages: $6,200 box 4, $1,450 box 6
+    expect(context.calculateEmployerFICAMatch(6200, 1450, 2024)).toBeCloseTo(7650, 2);
+  });
+
+  it('excludes Additional Medicare withholding from the match', () => {
+    // $300,000 wages: box 6 = $4,350 + $900 Additional Medicare
+    expect(context.calculateEmployerFICAMatch(10453.2, 5250, 2024)).toBeCloseTo(10453.2 + 4350, 2);
+  });
+});
+
+describe('estimateIncomeFromTax', () => {
+  it('inverts the single filer brackets', () => {
+    // $13,841 is the 2024 tax on $100,000 single
+    expect(context.estimateIncomeFromTax(13841, 'single', 2024)).toBeCloseTo(100000, 2);
+  });
+
+  it('lands in the 10% bracket for small amounts', () => {
+    // $500 tax = $5,000 taxable + $29,200 married standard deduction
+    expect(context.estimateIncomeFromTax(500, 'married', 2024)).toBeCloseTo(34200, 2);
+  });
+
+  it('round-trips calculateIncomeTax for every filing status', () => {
+    for (const status of ['single', 'married', 'headOfHousehold', 'marriedSeparately']) {
+      for (const income of [40000, 75000, 150000, 500000, 2000000]) {
+        const tax = context.calculateIncomeTax(income, status, 2025);
+        expect(context.estimateIncomeFromTax(tax, status, 2025)).toBeCloseTo(income, 2);
+      }
+    }
+  });
+
+  it('returns 0 when no tax was paid', () => {
+    expect(context.estimateIncomeFromTax(0, 'single')).toBe(0);
+    expect(context.estimateIncomeFromTax(-500, 'single')).toBe(0);
+  });
+});
+
 describe('calculateShare', () => {
   // Use realistic tax values for a $100k income earner
   const testTaxes = {
@@ -365,15 +909,15 @@ describe('calculateShare', () => {
       expect(result.yourShare).toBeGreaterThan(0);
       expect(result.taxSource).toBe('mixed');
       expect(result.breakdown.taxType).toBe('Mixed (Income Tax + FICA)');
-      expect(result.breakdown).toHaveProperty('incomeContribution');
-      expect(result.breakdown).toHaveProperty('ficaContribution');
+      expect(result.breakdown.contributions).toHaveProperty('income');
+      expect(result.breakdown.contributions).toHaveProperty('fica');
 
       // Both contributions should be positive
-      expect(result.breakdown.incomeContribution).toBeGreaterThan(0);
-      expect(result.breakdown.ficaContribution).toBeGreaterThan(0);
+      expect(result.breakdown.contributions.income).toBeGreaterThan(0);
+      expect(result.breakdown.contributions.fica).toBeGreaterThan(0);
 
       // Sum should equal total share
-      expect(result.breakdown.incomeContribution + result.breakdown.ficaContribution)
+      expect(result.breakdown.contributions.income + result.breakdown.contributions.fica)
         .toBeCloseTo(result.yourShare, 2);
     });
 
@@ -394,8 +938,8 @@ describe('calculateShare', () => {
       const ficaShare = (testTaxes.ficaTax / 1_700_000_000_000) *
                         1_000_000_000 * 0.40;
 
-      expect(result.breakdown.incomeContribution).toBeCloseTo(incomeShare, 2);
-      expect(result.breakdown.ficaContribution).toBeCloseTo(ficaShare, 2);
+      expect(result.breakdown.contributions.income).toBeCloseTo(incomeShare, 2);
+      expect(result.breakdown.contributions.fica).toBeCloseTo(ficaShare, 2);
     });
   });
 
@@ -452,6 +996,313 @@ describe('calculateShare', () => {
     });
   });
 
+  describe('net-negative income tax', () => {
+    it('gives a zero income-tax share instead of a negative one', () => {
+      const result = context.calculateShare({
+        incomeTax: -3000,
+        ficaTax: 3000,
+        spendingAmount: 1_000_000_000,
+        category: 'defense'
+      });
+
+      expect(result.yourShare).toBe(0);
+      expect(result.breakdown.yourTax).toBe(0);
+      expect(result.netIncomeTaxCredit).toBe(3000);
+    });
+
+    it('still counts FICA in mixed categories', () => {
+      const result = context.calculateShare({
+        incomeTax: -3000,
+        ficaTax: 3000,
+        spendingAmount: 1_000_000_000,
+        category: 'medicare'
+      });
+
+      expect(result.breakdown.contributions.income).toBe(0);
+      expect(result.breakdown.contributions.fica).toBeGreaterThan(0);
+      expect(result.yourShare).toBeCloseTo(result.breakdown.contributions.fica, 10);
+    });
+
+    it('reports no credit when income tax is positive', () => {
+      const result = context.calculateShare({
+        incomeTax: testTaxes.incomeTax,
+        ficaTax: testTaxes.ficaTax,
+        spendingAmount: 1_000_000_000,
+        category: 'defense'
+      });
+
+      expect(result.netIncomeTaxCredit).toBe(0);
+    });
+  });
+
+  describe('tax year selection', () => {
+    it('uses the selected year\'s income tax revenue pool', () => {
+      const result = context.calculateShare({
+        incomeTax: testTaxes.incomeTax,
+        ficaTax: testTaxes.ficaTax,
+        spendingAmount: 1_000_000_000,
+        category: 'defense',
+        taxYear: 2026
+      });
+
+      // FY 2026 individual income tax revenue is $2.7 trillion
+      const expectedShare = (testTaxes.incomeTax / 2_700_000_000_000) * 1_000_000_000;
+      expect(result.yourShare).toBeCloseTo(expectedShare, 2);
+      expect(result.breakdown.totalRevenue).toBe(2_700_000_000_000);
+      expect(result.taxYear).toBe(2026);
+    });
+
+    it('uses the selected year\'s pools for mixed funding', () => {
+      const result = context.calculateShare({
+        incomeTax: testTaxes.incomeTax,
+        ficaTax: testTaxes.ficaTax,
+        spendingAmount: 1_000_000_000,
+        category: 'medicare',
+        taxYear: 2023
+      });
+
+      // FY 2023: $2.2 trillion income tax, $1.6 trillion payroll tax
+      const incomeShare = (testTaxes.incomeTax / 2_200_000_000_000) * 1_000_000_000 * 0.60;
+      const ficaShare = (testTaxes.ficaTax / 1_600_000_000_000) * 1_000_000_000 * 0.40;
+      expect(result.breakdown.contributions.income).toBeCloseTo(incomeShare, 2);
+      expect(result.breakdown.contributions.fica).toBeCloseTo(ficaShare, 2);
+    });
+
+    it('resolves the budget pool for the selected year', () => {
+      const result = context.calculateShare({
+        incomeTax: testTaxes.incomeTax,
+        ficaTax: testTaxes.ficaTax,
+        spendingAmount: 1_000_000_000,
+        category: 'general',
+        taxYear: 2023
+      });
+
+      // FY 2023: $520 billion other discretionary + $650 billion other mandatory
+      expect(result.budgetPool).toBe(1_170_000_000_000);
+    });
+
+    it('computes the deficit note from the selected year\'s budget', () => {
+      const result = context.calculateShare({
+        incomeTax: testTaxes.incomeTax,
+        ficaTax: testTaxes.ficaTax,
+        spendingAmount: 1_000_000_000,
+        category: 'defense',
+        taxYear: 2026
+      });
+
+      // FY 2026: $1.9 trillion deficit / $7.4 trillion spending = ~26%
+      expect(result.deficitNote).toContain('26%');
+    });
+  });
+
+  describe('full tax burden', () => {
+    it('divides all taxes paid by total revenue', () => {
+      const result = context.calculateShare({
+        incomeTax: 10000,
+        ficaTax: 7650,
+        indirectTax: 2350,
+        spendingAmount: 1_000_000_000,
+        category: 'defense',
+        fullBurden: true
+      });
+      // $20,000 / $4.9 trillion
+      expect(result.breakdown.totalRevenue).toBe(4_900_000_000_000);
+      expect(result.breakdown.yourTax).toBe(20000);
+      expect(result.yourShare).toBeCloseTo(20000 / 4_900_000_000_000 * 1_000_000_000, 6);
+    });
+
+    it('applies the same proportion to every category', () => {
+      const params = { incomeTax: 10000, ficaTax: 7650, indirectTax: 1000, spendingAmount: 1_000_000_000, fullBurden: true };
+      const defense = context.calculateShare({ ...params, category: 'defense' });
+      const socialSecurity = context.calculateShare({ ...params, category: 'socialSecurity' });
+      expect(defense.yourShare).toBeCloseTo(socialSecurity.yourShare, 6);
+    });
+
+    it('ignores indirect taxes unless the full burden model is on', () => {
+      const withIndirect = context.calculateShare({ incomeTax: 10000, ficaTax: 7650, indirectTax: 5000, spendingAmount: 1e9, category: 'defense' });
+      const without = context.calculateShare({ incomeTax: 10000, ficaTax: 7650, spendingAmount: 1e9, category: 'defense' });
+      expect(withIndirect.yourShare).toBe(without.yourShare);
+    });
+  });
+
+  describe('inflation adjustment', () => {
+    it('restates older dollars in the tax year\'s dollars', () => {
+      const result = context.calculateShare({
+        incomeTax: 10000, ficaTax: 7650, spendingAmount: 1e9, category: 'defense', taxYear: 2024, dollarYear: 2008
+      });
+      const factor = 313.689 / 215.303;
+      expect(result.inflation.factor).toBeCloseTo(factor, 10);
+      expect(result.inflation.currentDollarAmount).toBeCloseTo(1e9 * factor, 0);
+      expect(result.inflation.currentDollarShare).toBeCloseTo(result.yourShare * factor, 6);
+    });
+
+    it('leaves the nominal share unchanged', () => {
+      const nominal = context.calculateShare({ incomeTax: 10000, ficaTax: 7650, spendingAmount: 1e9, category: 'defense' });
+      const adjusted = context.calculateShare({ incomeTax: 10000, ficaTax: 7650, spendingAmount: 1e9, category: 'defense', dollarYear: 2008 });
+      expect(adjusted.yourShare).toBe(nominal.yourShare);
+    });
+
+    it('is omitted when the dollar year matches the tax year', () => {
+      const result = context.calculateShare({
+        incomeTax: 10000, ficaTax: 7650, spendingAmount: 1e9, category: 'defense', taxYear: 2024, dollarYear: 2024
+      });
+      expect(result.inflation).toBeNull();
+    });
+  });
+
+  describe('deficit-aware split', () => {
+    it('is omitted unless requested', () => {
+      const result = context.calculateShare({ incomeTax: 10000, ficaTax: 7650, spendingAmount: 1e9, category: 'defense' });
+      expect(result.deficitSplit).toBeNull();
+    });
+
+    it('splits the full share when requested', () => {
+      const result = context.calculateShare({
+        incomeTax: 10000, ficaTax: 7650, spendingAmount: 1e9, category: 'defense', deficitAware: true, interestYears: 5
+      });
+      expect(result.deficitSplit.paidNow + result.deficitSplit.borrowed).toBeCloseTo(result.yourShare, 6);
+      expect(result.deficitSplit.interestYears).toBe(5);
+    });
+  });
+
+  describe('categories split from general government', () => {
+    it('funds veterans and education from income tax', () => {
+      const params = { incomeTax: 10000, ficaTax: 7650, spendingAmount: 1e9, taxYear: 2024 };
+      const defense = context.calculateShare({ ...params, category: 'defense' });
+      expect(context.calculateShare({ ...params, category: 'veterans' }).yourShare).toBe(defense.yourShare);
+      expect(context.calculateShare({ ...params, category: 'education' }).budgetPool).toBe(270_000_000_000);
+    });
+
+    it('funds a third of transportation from fuel excise', () => {
+      const indirectTaxes = context.calculateIndirectTaxes(100000, 2024);
+      const result = context.calculateShare({
+        incomeTax: 10000, ficaTax: 7650, spendingAmount: 1e9, category: 'transportation', taxYear: 2024, indirectTaxes
+      });
+      const fuelTax = indirectTaxes.excise * 44_000_000_000 / 100_000_000_000;
+      expect(result.taxSource).toBe('mixed');
+      expect(result.breakdown.taxType).toBe('Mixed (Income Tax + Fuel Excise)');
+      expect(result.breakdown.contributions.fuelExcise).toBeCloseTo(fuelTax / 44_000_000_000 * 1e9 * 0.33, 10);
+      expect(result.breakdown.yourTax).toBeCloseTo(10000 + fuelTax, 6);
+    });
+
+    it('counts no fuel excise without an indirect tax estimate', () => {
+      const result = context.calculateShare({
+        incomeTax: 10000, ficaTax: 7650, spendingAmount: 1e9, category: 'transportation', taxYear: 2024
+      });
+      expect(result.breakdown.contributions.fuelExcise).toBe(0);
+    });
+  });
+
+  describe('estimate ranges', () => {
+    const estimates = {
+      low: { value: 2e9, source: 'Low source' },
+      central: { value: 70e9, source: 'Central source' },
+      high: { value: 170e9, source: 'High source' }
+    };
+
+    it('computes a share for each estimate with its source', () => {
+      const params = { incomeTax: 10000, ficaTax: 7650, spendingAmount: 170e9, category: 'general', taxYear: 2024 };
+      const result = context.calculateShare({ ...params, estimates });
+      expect(result.range.low.yourShare).toBeCloseTo(context.calculateShare({ ...params, spendingAmount: 2e9 }).yourShare, 10);
+      expect(result.range.central.yourShare).toBeCloseTo(context.calculateShare({ ...params, spendingAmount: 70e9 }).yourShare, 10);
+      expect(result.range.high.yourShare).toBeCloseTo(result.yourShare, 10);
+      expect(result.range.low.source).toBe('Low source');
+      expect(result.range.high.value).toBe(170e9);
+    });
+
+    it('follows mixed funding and the full burden model', () => {
+      const params = { incomeTax: 10000, ficaTax: 7650, spendingAmount: 25e9, category: 'medicare', taxYear: 2024 };
+      const mixed = context.calculateShare({ ...params, estimates });
+      expect(mixed.range.central.yourShare).toBeCloseTo(context.calculateShare({ ...params, spendingAmount: 70e9 }).yourShare, 10);
+      const burden = context.calculateShare({ ...params, fullBurden: true, indirectTax: 2000, estimates });
+      expect(burden.range.low.yourShare).toBeCloseTo(context.calculateShare({ ...params, fullBurden: true, indirectTax: 2000, spendingAmount: 2e9 }).yourShare, 10);
+    });
+
+    it('carries only the levels that have an estimate', () => {
+      const params = { incomeTax: 10000, ficaTax: 7650, spendingAmount: 25e9, category: 'medicare', taxYear: 2024 };
+      const result = context.calculateShare({ ...params, estimates: { high: { value: 25e9, source: 'High source' } } });
+      expect(Object.keys(result.range)).toEqual(['high']);
+      expect(result.range.high.yourShare).toBeCloseTo(result.yourShare, 10);
+    });
+
+    it('is null without estimates', () => {
+      const result = context.calculateShare({ incomeTax: 10000, ficaTax: 7650, spendingAmount: 1e9, category: 'defense' });
+      expect(result.range).toBeNull();
+    });
+  });
+
+  describe('custom funding mix', () => {
+    it('reproduces the Medicare 60/40 split', () => {
+      const params = { incomeTax: 10000, ficaTax: 7650, spendingAmount: 1e9, taxYear: 2024 };
+      const medicare = context.calculateShare({ ...params, category: 'medicare' });
+      const custom = context.calculateShare({ ...params, category: 'custom', fundingMix: { income: 0.6, fica: 0.4 } });
+      expect(custom.yourShare).toBeCloseTo(medicare.yourShare, 10);
+      expect(custom.breakdown.totalRevenue).toBeCloseTo(medicare.breakdown.totalRevenue, 0);
+    });
+
+    it('leaves the borrowed portion out of the share', () => {
+      const result = context.calculateShare({
+        incomeTax: 10000, ficaTax: 7650, spendingAmount: 1e9, category: 'custom', taxYear: 2024,
+        fundingMix: { income: 0.5, fica: 0, borrowing: 0.5 }
+      });
+      expect(result.yourShare).toBeCloseTo(10000 / 2_400_000_000_000 * 1e9 * 0.5, 10);
+      expect(result.breakdown.borrowedAmount).toBe(0.5e9);
+      expect(result.breakdown.taxType).toBe('Custom Mix (50% Income Tax, 50% Borrowing)');
+    });
+
+    it('takes the deficit split\'s borrowed part from a borrowing weight', () => {
+      const result = context.calculateShare({
+        incomeTax: 10000, ficaTax: 7650, spendingAmount: 1e9, category: 'custom', taxYear: 2024,
+        fundingMix: { income: 0.75, borrowing: 0.25 }, deficitAware: true, interestYears: 0
+      });
+      // The tax-funded share is all paid now; the borrowed slice is charged at the same rate per dollar
+      expect(result.deficitSplit.fromFunding).toBe(true);
+      expect(result.deficitSplit.deficitShare).toBeCloseTo(0.25, 10);
+      expect(result.deficitSplit.paidNow).toBeCloseTo(result.yourShare, 10);
+      expect(result.deficitSplit.borrowed).toBeCloseTo(10000 / 2_400_000_000_000 * 0.25e9, 10);
+    });
+
+    it('applies the national deficit share to a mix without borrowing', () => {
+      const result = context.calculateShare({
+        incomeTax: 10000, ficaTax: 7650, spendingAmount: 1e9, category: 'custom', taxYear: 2024,
+        fundingMix: { income: 1 }, deficitAware: true
+      });
+      expect(result.deficitSplit.fromFunding).toBe(false);
+      expect(result.deficitSplit.deficitShare).toBeCloseTo(context.getDeficitShare(2024), 10);
+    });
+
+    it('draws on customs duties', () => {
+      const result = context.calculateShare({
+        incomeTax: 10000, ficaTax: 7650, spendingAmount: 1e9, category: 'custom', taxYear: 2024,
+        indirectTaxes: { excise: 0, customs: 154 }, fundingMix: { customs: 1 }
+      });
+      expect(result.yourShare).toBeCloseTo(154 / 77_000_000_000 * 1e9, 10);
+    });
+
+    it('reports the custom category against total spending', () => {
+      const result = context.calculateShare({
+        incomeTax: 10000, ficaTax: 7650, spendingAmount: 1e9, category: 'custom', taxYear: 2024,
+        fundingMix: { fica: 1 }
+      });
+      expect(result.category).toBe('Custom Funding Mix');
+      expect(result.taxSource).toBe('custom');
+      expect(result.budgetPool).toBe(6_800_000_000_000);
+    });
+
+    it('throws a clear error for the custom category without a fundingMix', () => {
+      const params = { incomeTax: 10000, ficaTax: 7650, spendingAmount: 1e9, taxYear: 2024 };
+      expect(() => context.calculateShare({ ...params, category: 'custom' }))
+        .toThrow('Unknown funding category "custom" without a fundingMix');
+      expect(() => context.calculateShare({ ...params, category: 'custom', fundingMix: null }))
+        .toThrow('without a fundingMix');
+    });
+
+    it('throws a clear error for an unknown category key', () => {
+      expect(() => context.calculateShare({ incomeTax: 10000, ficaTax: 7650, spendingAmount: 1e9, category: 'nope' }))
+        .toThrow('Unknown funding category "nope"');
+    });
+  });
+
   describe('proportionality', () => {
     it('share scales linearly with spending amount', () => {
       const share1 = context.calculateShare({
@@ -491,10 +1342,594 @@ describe('calculateShare', () => {
   });
 });
 
+describe('calculateWeightedShare', () => {
+  const revenue = { individualIncomeTax: 2e12, payrollTax: 1e12 };
+
+  it('sums each source\'s proportional contribution', () => {
+    const result = context.calculateWeightedShare(
+      { income: 2000, fica: 1000 }, [{ source: 'income', weight: 0.5 }, { source: 'fica', weight: 0.5 }], revenue, 1e9
+    );
+    expect(result.contributions.income).toBeCloseTo(0.5, 10);
+    expect(result.contributions.fica).toBeCloseTo(0.5, 10);
+    expect(result.yourShare).toBeCloseTo(1, 10);
+    expect(result.proportion).toBeCloseTo(1e-9, 20);
+    expect(result.weightedRevenue).toBe(1.5e12);
+  });
+
+  it('tracks borrowing separately', () => {
+    const result = context.calculateWeightedShare(
+      { income: 2000 }, [{ source: 'income', weight: 0.25 }, { source: 'borrowing', weight: 0.75 }], revenue, 1e9
+    );
+    expect(result.borrowedAmount).toBe(0.75e9);
+    expect(result.contributions.borrowing).toBe(0);
+    expect(result.yourShare).toBeCloseTo(0.25, 10);
+  });
+
+  it('skips sources with no weight', () => {
+    const result = context.calculateWeightedShare(
+      { income: 2000, fica: 1000 }, [{ source: 'income', weight: 1 }, { source: 'fica', weight: 0 }], revenue, 1e9
+    );
+    expect(result.contributions.fica).toBeUndefined();
+  });
+});
+
+describe('describeSources', () => {
+  it('uses the source label for single-source funding', () => {
+    expect(context.describeSources([{ source: 'fica', weight: 1 }])).toBe('Payroll Tax (FICA)');
+  });
+
+  it('lists the sources of mixed funding', () => {
+    expect(context.describeSources([{ source: 'income', weight: 0.67 }, { source: 'fuelExcise', weight: 0.33 }]))
+      .toBe('Mixed (Income Tax + Fuel Excise)');
+  });
+});
+
+describe('getCategoryPools', () => {
+  it('weights each source\'s revenue', () => {
+    const pools = context.getCategoryPools({
+      sources: [{ source: 'income', weight: 0.6 }, { source: 'fica', weight: 0.4 }],
+      spendingLines: ['medicareMedicaid']
+    }, 2024);
+    expect(pools.revenuePool).toBeCloseTo(2_400_000_000_000 * 0.6 + 1_700_000_000_000 * 0.4, 0);
+    expect(pools.budgetPool).toBe(1_700_000_000_000);
+  });
+
+  it('leaves borrowing out of the revenue pool', () => {
+    const pools = context.getCategoryPools({
+      sources: [{ source: 'income', weight: 0.5 }, { source: 'borrowing', weight: 0.5 }],
+      spendingLines: ['total']
+    }, 2024);
+    expect(pools.revenuePool).toBe(1_200_000_000_000);
+  });
+});
+
+describe('what-if assumptions', () => {
+  it('scales revenue pools and moves the total with them', () => {
+    const revenue = context.getRevenueData(2024, { revenue: { individualIncomeTax: 1.5 } });
+    expect(revenue.individualIncomeTax).toBeCloseTo(3_600_000_000_000, 0);
+    expect(revenue.total).toBeCloseTo(6_100_000_000_000, 0);
+    expect(revenue.payrollTax).toBe(1_700_000_000_000);
+  });
+
+  it('scales the pools that are part of other revenue with it', () => {
+    const revenue = context.getRevenueData(2024, { revenue: { other: 2 } });
+    expect(revenue.customsDuties).toBe(154_000_000_000);
+    expect(revenue.highwayTrustFund).toBe(88_000_000_000);
+    expect(revenue.total).toBeCloseTo(5_200_000_000_000, 0);
+  });
+
+  it('leaves the official figures untouched', () => {
+    context.getRevenueData(2024, { revenue: { individualIncomeTax: 2 } });
+    expect(context.getRevenueData(2024).individualIncomeTax).toBe(2_400_000_000_000);
+  });
+
+  it('recomputes shares against the adjusted pools', () => {
+    const params = { incomeTax: 10000, ficaTax: 7650, spendingAmount: 1e9, category: 'defense', taxYear: 2024 };
+    const result = context.calculateShare({ ...params, assumptions: { revenue: { individualIncomeTax: 2 } } });
+    expect(result.yourShare).toBeCloseTo(10000 / 4_800_000_000_000 * 1e9, 10);
+  });
+
+  it('replaces a category\'s funding sources', () => {
+    const params = { incomeTax: 10000, ficaTax: 7650, spendingAmount: 1e9, category: 'medicare', taxYear: 2024 };
+    const result = context.calculateShare({
+      ...params,
+      assumptions: { sources: { medicare: [{ source: 'income', weight: 0.2 }, { source: 'fica', weight: 0.8 }] } }
+    });
+    const expected = (10000 / 2_400_000_000_000 * 0.2 + 7650 / 1_700_000_000_000 * 0.8) * 1e9;
+    expect(result.yourShare).toBeCloseTo(expected, 10);
+    expect(context.calculateShare({ ...params, category: 'defense', assumptions: { sources: { medicare: [] } } }).yourShare)
+      .toBeCloseTo(10000 / 2_400_000_000_000 * 1e9, 10);
+  });
+
+  it('overrides the deficit share', () => {
+    const assumptions = { deficitShare: 0.5 };
+    expect(context.getDeficitShare(2024, assumptions)).toBe(0.5);
+    expect(context.getDeficitShare(2024)).toBeCloseTo(1.9 / 6.8, 10);
+    expect(context.calculateDeficitSplit(100, 2024, 10, assumptions).borrowed).toBe(50);
+    const result = context.calculateShare({
+      incomeTax: 10000, ficaTax: 7650, spendingAmount: 1e9, category: 'defense', taxYear: 2024, deficitAware: true, assumptions
+    });
+    expect(result.deficitSplit.borrowed).toBeCloseTo(result.yourShare / 2, 10);
+    expect(result.deficitNote).toContain('About 50%');
+  });
+});
+
+describe('calculateComparison', () => {
+  const params = { incomeTax: 10000, ficaTax: 7650, taxYear: 2024 };
+  const items = [
+    { label: 'Defense item', spendingAmount: 10e9, category: 'defense' },
+    { label: 'Social Security item', spendingAmount: 10e9, category: 'socialSecurity' },
+    { label: 'Custom mix', spendingAmount: 5e9, category: 'custom', fundingMix: { income: 0.5, borrowing: 0.5 } }
+  ];
+
+  it('computes each item with its own category', () => {
+    const { rows } = context.calculateComparison({ ...params, category: 'medicare', items });
+    expect(rows.map(row => row.label)).toEqual(['Defense item', 'Social Security item', 'Custom mix']);
+    expect(rows[0].yourShare).toBeCloseTo(context.calculateShare({ ...params, ...items[0] }).yourShare, 10);
+    expect(rows[1].yourShare).toBeCloseTo(7650 / 1_700_000_000_000 * 10e9, 10);
+    expect(rows[1].categoryName).toBe('Social Security');
+    expect(rows[2].yourShare).toBeCloseTo(10000 / 2_400_000_000_000 * 5e9 * 0.5, 10);
+  });
+
+  it('does not carry the current funding mix over to other items', () => {
+    const { rows } = context.calculateComparison({ ...params, fundingMix: { fica: 1 }, items: [items[0]] });
+    expect(rows[0].yourShare).toBeCloseTo(10000 / 2_400_000_000_000 * 10e9, 10);
+  });
+
+  it('sizes each share relative to the largest', () => {
+    const { rows, largestShare } = context.calculateComparison({ ...params, items });
+    // Payroll tax is the larger slice of its pool here
+    expect(largestShare).toBe(rows[1].yourShare);
+    expect(rows[1].relativeShare).toBe(1);
+    expect(rows[0].relativeShare).toBeCloseTo(rows[0].yourShare / rows[1].yourShare, 10);
+  });
+
+  it('spreads multi-year items over their schedule', () => {
+    const schedule = { 2008: 2e9, 2024: 1e9 };
+    const { rows } = context.calculateComparison({
+      ...params, items: [{ label: 'Program', spendingAmount: 3e9, category: 'defense', schedule }]
+    });
+    expect(rows[0].yourShare).toBeCloseTo(context.calculateScheduleShares({ ...params, category: 'defense', schedule }).totalShare, 10);
+  });
+
+  it('handles no items', () => {
+    expect(context.calculateComparison({ ...params, items: [] })).toEqual({ rows: [], largestShare: 0 });
+  });
+});
+
+describe('findCategoryKey', () => {
+  it('matches keys and names regardless of case', () => {
+    expect(context.findCategoryKey('defense')).toBe('defense');
+    expect(context.findCategoryKey(' Social Security ')).toBe('socialSecurity');
+    expect(context.findCategoryKey('DEFENSE & MILITARY')).toBe('defense');
+  });
+
+  it('returns null for unknown categories', () => {
+    expect(context.findCategoryKey('Space Force')).toBeNull();
+    expect(context.findCategoryKey(undefined)).toBeNull();
+  });
+});
+
+describe('parseCsvLine', () => {
+  it('splits on commas outside quotes', () => {
+    expect(context.parseCsvLine('a, "b, c" ,d')).toEqual(['a', 'b, c', 'd']);
+  });
+
+  it('unescapes doubled quotes', () => {
+    expect(context.parseCsvLine('"say ""hi""",x')).toEqual(['say "hi"', 'x']);
+  });
+});
+
+describe('getFirstRevenueYear', () => {
+  it('is the first year of the historical revenue table', () => {
+    expect(context.getFirstRevenueYear()).toBe(1996);
+  });
+});
+
+describe('parseBillCsv', () => {
+  const csv = [
+    'Line,Category,FY2026,2027,2028',
+    '"Detention, removal",general,"1,500",2000,*',
+    'Troop pay,Defense & Military,100,-,300',
+    'Total,,1600,2000,300'
+  ].join('\n');
+
+  it('reads one line item per nonzero year cell, in dollars', () => {
+    const { items, errors } = context.parseBillCsv(csv);
+    expect(errors).toEqual([]);
+    expect(items).toEqual([
+      { label: 'Detention, removal', category: 'general', fiscalYear: 2026, amount: 1_500_000_000 },
+      { label: 'Detention, removal', category: 'general', fiscalYear: 2027, amount: 2_000_000_000 },
+      { label: 'Troop pay', category: 'defense', fiscalYear: 2026, amount: 100_000_000 },
+      { label: 'Troop pay', category: 'defense', fiscalYear: 2028, amount: 300_000_000 }
+    ]);
+  });
+
+  it('reports rows with an unknown category', () => {
+    const { items, errors } = context.parseBillCsv('Line,Category,2026\nA,general,5\nB,space,7');
+    expect(items).toHaveLength(1);
+    expect(errors).toEqual(['Row 3: unknown category "space".']);
+  });
+
+  it('names lines by position without a label column', () => {
+    const { items, errors } = context.parseBillCsv('Category,2026\ndefense,5\neducation,7\nTotal,12');
+    expect(errors).toEqual([]);
+    expect(items.map(item => item.label)).toEqual(['Line 1', 'Line 2']);
+    expect(items[0].category).toBe('defense');
+  });
+
+  it('only skips rows labelled as totals', () => {
+    const { items, errors } = context.parseBillCsv([
+      'Line,Category,2026',
+      'Totalisator grants,general,5',
+      'Total cost per unit,defense,7',
+      '"Total, Title I",,12',
+      'Grand total,,12'
+    ].join('\n'));
+    expect(errors).toEqual([]);
+    expect(items.map(item => item.label)).toEqual(['Totalisator grants', 'Total cost per unit']);
+  });
+
+  it('numbers error rows by their line in the source, counting blank lines', () => {
+    const { errors } = context.parseBillCsv('Line,Category,2026\n\nA,general,5\n\nB,space,7');
+    expect(errors).toEqual(['Row 5: unknown category "space".']);
+  });
+
+  it('skips fiscal year columns without revenue data', () => {
+    const { items, errors } = context.parseBillCsv('Line,Category,1995,1996\nA,general,5,7');
+    expect(items).toEqual([{ label: 'A', category: 'general', fiscalYear: 1996, amount: 7_000_000 }]);
+    expect(errors).toEqual(['FY1995: no revenue data before FY1996, so the column was skipped.']);
+  });
+
+  it('reads parenthesized amounts as negative', () => {
+    const { items } = context.parseBillCsv('Line,Category,2026,2027\nOffset,general,(500),"($1,250)"');
+    expect(items.map(item => item.amount)).toEqual([-500_000_000, -1_250_000_000]);
+  });
+
+  it('reports rows without any amounts', () => {
+    const { items, errors } = context.parseBillCsv('Line,Category,2026,2027\nA,general,5,0\nB,defense,*,-');
+    expect(items).toHaveLength(1);
+    expect(errors).toEqual(['Row 3: no amounts in the fiscal year columns.']);
+  });
+
+  it('needs category and fiscal year columns', () => {
+    expect(context.parseBillCsv('Line,2026\nA,5').errors).toEqual(['The table needs a Category column.']);
+    expect(context.parseBillCsv('Line,Category\nA,general').errors).toEqual(['The table needs a column for each fiscal year.']);
+    expect(context.parseBillCsv('  ').errors).toEqual(['The table is empty.']);
+  });
+});
+
+describe('parseBillJson', () => {
+  it('reads line items with amounts in millions', () => {
+    const { items, errors } = context.parseBillJson('[{"label":"Grants","category":"education","fiscalYear":2027,"amount":250}]');
+    expect(errors).toEqual([]);
+    expect(items).toEqual([{ label: 'Grants', category: 'education', fiscalYear: 2027, amount: 250_000_000 }]);
+  });
+
+  it('reports invalid items and JSON', () => {
+    const { items, errors } = context.parseBillJson('[{"category":"nope","fiscalYear":2027,"amount":1}]');
+    expect(items).toEqual([]);
+    expect(errors).toEqual(['Item 1: needs a known category, a fiscal year and an amount.']);
+    expect(context.parseBillJson('[{"category":"defense","fiscalYear":1990,"amount":1}]').errors)
+      .toEqual(['Item 1: no revenue data before FY1996.']);
+    expect(context.parseBillJson('{"a":1}').errors).toEqual(['The JSON should be a list of line items.']);
+    expect(context.parseBillJson('[').errors[0]).toMatch(/^Could not read the JSON/);
+  });
+});
+
+describe('parseBillImport', () => {
+  it('detects JSON and CSV', () => {
+    expect(context.parseBillImport(' [{"category":"defense","fiscalYear":2026,"amount":1}]').items).toHaveLength(1);
+    expect(context.parseBillImport('Line,Category,2026\nA,defense,1').items).toHaveLength(1);
+  });
+});
+
+describe('calculateBillShares', () => {
+  const params = { incomeTax: 10000, ficaTax: 7650, taxYear: 2024 };
+  const items = [
+    { label: 'Enforcement', category: 'general', fiscalYear: 2023, amount: 2e9 },
+    { label: 'Enforcement', category: 'general', fiscalYear: 2024, amount: 4e9 },
+    { label: 'Pensions', category: 'socialSecurity', fiscalYear: 2024, amount: 1e9 },
+    { label: 'Enforcement', category: 'general', fiscalYear: 2030, amount: 1e9 }
+  ];
+
+  it('divides each line by its fiscal year\'s revenue', () => {
+    const { rows } = context.calculateBillShares({ ...params, items });
+    expect(rows[0].yourShare).toBeCloseTo(10000 / 2_200_000_000_000 * 2e9, 10);
+    expect(rows[2].yourShare).toBeCloseTo(7650 / 1_700_000_000_000 * 1e9, 10);
+    expect(rows[2].categoryName).toBe('Social Security');
+  });
+
+  it('uses the last year on file for later years', () => {
+    const { rows } = context.calculateBillShares({ ...params, items });
+    const fy2026 = context.calculateShare({ ...params, category: 'general', spendingAmount: 1e9, taxYear: 2026 });
+    expect(rows[3].yourShare).toBeCloseTo(fy2026.yourShare, 10);
+  });
+
+  it('totals by line and by fiscal year', () => {
+    const bill = context.calculateBillShares({ ...params, items });
+    expect(bill.byLine.map(line => line.label)).toEqual(['Enforcement', 'Pensions']);
+    expect(bill.byLine[0].amount).toBe(7e9);
+    expect(bill.byLine[0].yourShare).toBeCloseTo(bill.rows[0].yourShare + bill.rows[1].yourShare + bill.rows[3].yourShare, 10);
+    expect(bill.byYear.map(year => year.fiscalYear)).toEqual([2023, 2024, 2030]);
+    expect(bill.byYear[1].amount).toBe(5e9);
+    expect(bill.totalAmount).toBe(8e9);
+    expect(bill.totalShare).toBeCloseTo(bill.rows.reduce((sum, row) => sum + row.yourShare, 0), 10);
+  });
+
+  it('ignores the current funding mix', () => {
+    const { rows } = context.calculateBillShares({ ...params, fundingMix: { fica: 1 }, items: [items[1]] });
+    expect(rows[0].yourShare).toBeCloseTo(10000 / 2_400_000_000_000 * 4e9, 10);
+  });
+});
+
+describe('calculateReceipt', () => {
+  it('covers every spending line and adds up to the taxes paid', () => {
+    const receipt = context.calculateReceipt({ incomeTax: 10000, ficaTax: 7650, taxYear: 2024 });
+    expect(receipt.rows).toHaveLength(9);
+    expect(receipt.total).toBeCloseTo(17650, 6);
+    expect(receipt.rows.reduce((sum, row) => sum + row.percent, 0)).toBeCloseTo(1, 10);
+  });
+
+  it('spreads payroll tax over Social Security and the payroll part of Medicare', () => {
+    const receipt = context.calculateReceipt({ incomeTax: 0, ficaTax: 7650, taxYear: 2024 });
+    const line = key => receipt.rows.find(row => row.line === key).yourShare;
+    // $1.4 trillion Social Security vs. 40% of $1.7 trillion Medicare & Medicaid
+    expect(line('socialSecurity')).toBeCloseTo(7650 * 1.4 / (1.4 + 0.68), 6);
+    expect(line('medicareMedicaid')).toBeCloseTo(7650 * 0.68 / (1.4 + 0.68), 6);
+    expect(line('defense')).toBe(0);
+  });
+
+  it('follows what-if funding overrides', () => {
+    const assumptions = { revenue: {}, sources: { defense: [{ source: 'fica', weight: 1 }] }, deficitShare: null };
+    const receipt = context.calculateReceipt({ incomeTax: 0, ficaTax: 7650, taxYear: 2024, assumptions });
+    const defense = receipt.rows.find(row => row.line === 'defense');
+    expect(defense.yourShare).toBeCloseTo(7650 * 0.9 / (1.4 + 0.68 + 0.9), 6);
+    expect(receipt.total).toBeCloseTo(7650, 6);
+  });
+
+  it('sorts the largest share first', () => {
+    const receipt = context.calculateReceipt({ incomeTax: 10000, ficaTax: 7650, taxYear: 2024 });
+    const shares = receipt.rows.map(row => row.yourShare);
+    expect(shares).toEqual([...shares].sort((a, b) => b - a));
+  });
+
+  it('allocates all taxes in proportion to spending under the full burden model', () => {
+    const receipt = context.calculateReceipt({
+      incomeTax: 10000, ficaTax: 7650, indirectTax: 2350, fullBurden: true, taxYear: 2024
+    });
+    const defense = receipt.rows.find(row => row.line === 'defense');
+    expect(receipt.total).toBeCloseTo(20000, 6);
+    expect(defense.percent).toBeCloseTo(900 / 6800, 10);
+  });
+
+  it('allocates nothing without taxes', () => {
+    const receipt = context.calculateReceipt({ incomeTax: -500, ficaTax: 0 });
+    expect(receipt.total).toBe(0);
+    expect(receipt.rows.every(row => row.percent === 0)).toBe(true);
+  });
+});
+
+describe('calculatePerPersonCosts', () => {
+  it('divides spending by the year\'s population counts', () => {
+    const costs = context.calculatePerPersonCosts(1e9, 2024);
+    expect(costs.perResident).toBeCloseTo(1e9 / 340_100_000, 10);
+    expect(costs.perHousehold).toBeCloseTo(1e9 / 132_200_000, 10);
+    expect(costs.perFiler).toBeCloseTo(1e9 / 163_000_000, 10);
+  });
+
+  it('falls back to the default data year', () => {
+    expect(context.calculatePerPersonCosts(1e9, 1999)).toEqual(context.calculatePerPersonCosts(1e9, 2024));
+  });
+});
+
+describe('calculateMedianFilerTaxes', () => {
+  it('taxes the median income as a single wage earner', () => {
+    const median = context.calculateMedianFilerTaxes(2024);
+    expect(median.income).toBe(53_000);
+    expect(median.incomeTax).toBe(context.calculateIncomeTax(53_000, 'single', 2024));
+    expect(median.ficaTax).toBeCloseTo(53_000 * 0.0765, 6);
+  });
+
+  it('can include the employer share of payroll tax', () => {
+    const median = context.calculateMedianFilerTaxes(2024, { includeEmployerShare: true });
+    expect(median.ficaTax).toBeCloseTo(53_000 * 0.153, 6);
+  });
+});
+
+describe('calculateDistribution', () => {
+  const params = { spendingAmount: 1e9, category: 'defense', taxYear: 2024 };
+
+  it('computes a share for every income and filing status', () => {
+    const distribution = context.calculateDistribution(params);
+    expect(distribution.rows).toHaveLength(8);
+    expect(Object.keys(distribution.rows[0].shares)).toEqual(['single', 'married', 'headOfHousehold', 'marriedSeparately']);
+  });
+
+  it('matches calculateShare for the same taxes', () => {
+    const distribution = context.calculateDistribution({ ...params, incomes: [75000], filingStatuses: ['single'] });
+    const expected = context.calculateShare({
+      ...params, incomeTax: context.calculateIncomeTax(75000, 'single', 2024), ficaTax: 75000 * 0.0765
+    });
+    expect(distribution.rows[0].shares.single).toBeCloseTo(expected.yourShare, 10);
+  });
+
+  it('rises with income', () => {
+    const distribution = context.calculateDistribution({ ...params, filingStatuses: ['married'] });
+    const shares = distribution.rows.map(row => row.shares.married);
+    expect(shares).toEqual([...shares].sort((a, b) => a - b));
+  });
+
+  it('sums a multi-year schedule', () => {
+    const schedule = { 2023: 5e8, 2024: 5e8 };
+    const distribution = context.calculateDistribution({ ...params, incomes: [100000], filingStatuses: ['single'], schedule });
+    const expected = context.calculateScheduleShares({
+      category: 'defense', taxYear: 2024, schedule,
+      incomeTax: context.calculateIncomeTax(100000, 'single', 2024), ficaTax: 7650
+    });
+    expect(distribution.rows[0].shares.single).toBeCloseTo(expected.totalShare, 10);
+  });
+});
+
+describe('distributionToCsv', () => {
+  it('writes a header and one line per income', () => {
+    const csv = context.distributionToCsv({
+      filingStatuses: ['single', 'married'],
+      rows: [{ income: 30000, shares: { single: 1.234, married: 0.5 } }]
+    });
+    expect(csv).toBe('Income,Single,Married Filing Jointly\n30000,1.23,0.50');
+  });
+});
+
 // ============================================================================
 // getComparison() Tests
 // ============================================================================
 
+describe('calculateIndirectTaxes', () => {
+  it('applies the income band rates in the base year', () => {
+    // $60,000 falls in the $50k-$75k band: 0.8% + 0.7% + 0.4%
+    const result = context.calculateIndirectTaxes(60000, 2024);
+    expect(result.corporate).toBeCloseTo(480, 2);
+    expect(result.excise).toBeCloseTo(420, 2);
+    expect(result.customs).toBeCloseTo(240, 2);
+    expect(result.total).toBeCloseTo(1140, 2);
+  });
+
+  it('is progressive for corporate tax and regressive for excise', () => {
+    const low = context.calculateIndirectTaxes(20000, 2024);
+    const high = context.calculateIndirectTaxes(2000000, 2024);
+    expect(high.corporate / 2000000).toBeGreaterThan(low.corporate / 20000);
+    expect(high.excise / 2000000).toBeLessThan(low.excise / 20000);
+  });
+
+  it('scales customs with each year\'s tariff revenue', () => {
+    const base = context.calculateIndirectTaxes(60000, 2024);
+    const later = context.calculateIndirectTaxes(60000, 2025);
+    expect(later.customs).toBeCloseTo(base.customs * 195 / 77, 2);
+  });
+
+  it('returns zeros for no income', () => {
+    expect(context.calculateIndirectTaxes(0).total).toBe(0);
+  });
+});
+
+describe('calculateDeficitSplit', () => {
+  it('splits a share by the year\'s deficit ratio', () => {
+    // FY2024: $1.9T deficit / $6.8T spending
+    const split = context.calculateDeficitSplit(100, 2024);
+    expect(split.borrowed).toBeCloseTo(100 * 1.9 / 6.8, 6);
+    expect(split.paidNow + split.borrowed).toBeCloseTo(100, 6);
+  });
+
+  it('derives the interest rate from net interest and debt', () => {
+    const split = context.calculateDeficitSplit(100, 2024);
+    expect(split.interestRate).toBeCloseTo(0.9 / 28.2, 6);
+  });
+
+  it('compounds interest on the borrowed part', () => {
+    const split = context.calculateDeficitSplit(100, 2024, 10);
+    const rate = 0.9 / 28.2;
+    expect(split.futureInterest).toBeCloseTo(split.borrowed * (Math.pow(1 + rate, 10) - 1), 6);
+  });
+
+  it('projects no interest over zero years', () => {
+    expect(context.calculateDeficitSplit(100, 2024, 0).futureInterest).toBe(0);
+  });
+});
+
+describe('getInflationFactor', () => {
+  it('converts between CPI-U years', () => {
+    expect(context.getInflationFactor(2008, 2024)).toBeCloseTo(313.689 / 215.303, 10);
+  });
+
+  it('is 1 for the same year', () => {
+    expect(context.getInflationFactor(2024, 2024)).toBe(1);
+  });
+
+  it('clamps years beyond the table', () => {
+    expect(context.getInflationFactor(2030, 2026)).toBe(1);
+    expect(context.getInflationFactor(1950, 2024)).toBeCloseTo(313.689 / 82.4, 10);
+  });
+});
+
+describe('calculateScheduleShares', () => {
+  const schedule = { 2008: 2_000_000_000, 2024: 1_000_000_000 };
+
+  it('divides each year\'s spending by that year\'s revenue', () => {
+    const result = context.calculateScheduleShares({ incomeTax: 10000, ficaTax: 7650, category: 'defense', schedule });
+    // FY2008 individual income tax: $1.146 trillion; FY2024: $2.4 trillion
+    expect(result.rows[0].year).toBe(2008);
+    expect(result.rows[0].totalRevenue).toBe(1_146_000_000_000);
+    expect(result.rows[0].yourShare).toBeCloseTo(10000 / 1_146_000_000_000 * 2_000_000_000, 6);
+    expect(result.rows[1].yourShare).toBeCloseTo(10000 / 2_400_000_000_000 * 1_000_000_000, 6);
+    expect(result.rows[0].proportion).toBeCloseTo(10000 / 1_146_000_000_000, 15);
+  });
+
+  it('totals the rows and averages per program year', () => {
+    const result = context.calculateScheduleShares({ incomeTax: 10000, ficaTax: 7650, category: 'defense', schedule });
+    expect(result.totalSpending).toBe(3_000_000_000);
+    expect(result.totalShare).toBeCloseTo(result.rows[0].yourShare + result.rows[1].yourShare, 6);
+    expect(result.perYear).toBeCloseTo(result.totalShare / 2, 6);
+  });
+
+  it('restates the total in the tax year\'s dollars', () => {
+    const result = context.calculateScheduleShares({ incomeTax: 10000, ficaTax: 7650, category: 'defense', schedule, taxYear: 2024 });
+    const expected = 2_000_000_000 * 313.689 / 215.303 + 1_000_000_000;
+    expect(result.currentDollarSpending).toBeCloseTo(expected, 0);
+    expect(result.currentDollarShare).toBeCloseTo(10000 / 2_400_000_000_000 * expected, 6);
+  });
+
+  it('sorts years that are out of order', () => {
+    const result = context.calculateScheduleShares({
+      incomeTax: 10000, ficaTax: 7650, category: 'socialSecurity', schedule: { 2020: 1e9, 2010: 1e9 }
+    });
+    expect(result.rows.map(row => row.year)).toEqual([2010, 2020]);
+  });
+});
+
+describe('calculateCumulativeShare', () => {
+  const base = { incomeTax: 10000, ficaTax: 7650, income: 100000, category: 'interest', annualAmount: 1_000_000_000_000 };
+
+  it('matches calculateShare in the first year', () => {
+    const result = context.calculateCumulativeShare({ ...base, years: 5, taxYear: 2024 });
+    const single = context.calculateShare({ ...base, spendingAmount: base.annualAmount, taxYear: 2024 });
+    expect(result.rows[0].year).toBe(2024);
+    expect(result.rows[0].incomeTax).toBe(10000);
+    expect(result.rows[0].yourShare).toBeCloseTo(single.yourShare, 6);
+  });
+
+  it('uses each year\'s revenue, then the last year on file', () => {
+    const result = context.calculateCumulativeShare({ ...base, years: 5, incomeGrowth: 0, taxYear: 2024 });
+    expect(result.rows.map(row => row.year)).toEqual([2024, 2025, 2026, 2027, 2028]);
+    const { incomeTax, ficaTax } = result.rows[2];
+    const fy2026 = context.calculateShare({ ...base, incomeTax, ficaTax, spendingAmount: base.annualAmount, taxYear: 2026 }).yourShare;
+    expect(result.rows[2].yourShare).toBeCloseTo(fy2026, 6);
+    expect(result.rows[4].yourShare).toBeCloseTo(fy2026, 6);
+  });
+
+  it('grows taxes with income along the tax brackets', () => {
+    const result = context.calculateCumulativeShare({ ...base, years: 2, incomeGrowth: 0.1, taxYear: 2026 });
+    const modeled = wages => context.calculateIncomeTax(wages, 'single', 2026);
+    expect(result.rows[1].income).toBeCloseTo(110000, 6);
+    expect(result.rows[1].incomeTax).toBeCloseTo(10000 * modeled(110000) / modeled(100000), 6);
+    // Progressive brackets: income tax grows faster than income
+    expect(result.rows[1].incomeTax).toBeGreaterThan(11000);
+  });
+
+  it('holds taxes flat when there is no income to project from', () => {
+    const result = context.calculateCumulativeShare({ ...base, income: 0, years: 3, incomeGrowth: 0.05, taxYear: 2026 });
+    expect(result.rows.every(row => row.incomeTax === 10000 && row.ficaTax === 7650)).toBe(true);
+  });
+
+  it('totals the rows and averages per year', () => {
+    const result = context.calculateCumulativeShare({ ...base, years: 10 });
+    expect(result.rows).toHaveLength(10);
+    expect(result.totalSpending).toBe(10 * base.annualAmount);
+    expect(result.totalShare).toBeCloseTo(result.rows.reduce((sum, row) => sum + row.yourShare, 0), 6);
+    expect(result.perYear).toBeCloseTo(result.totalShare / 10, 6);
+  });
+});
+
 describe('getComparison', () => {
   const annualTax = 20000; // Use $20k annual tax for {days} calculations
 